@@ -1,26 +1,213 @@
 /**
- * Multi-Model AI Integration
- * Supports Claude, ChatGPT, and Gemini
+ * Multi-Provider AI Integration
+ * Supports Gemini, Claude, OpenAI and OpenAI-compatible endpoints (llama.cpp, Ollama, ...)
  */
 
-import { getAPIKey, hasAPIKey } from './storage.js';
+import { getAPIKey, hasAPIKey, getSetting, setSetting } from './storage.js';
 import { showNotification } from './utils.js';
-
-// AI Model Configurations
-const AI_CONFIGS = {
+import { parsePartialJSON } from './partial-json.js';
+import { parsePlanText, validatePlan, repairPlan, formatSchemaErrors } from './plan-schema.js';
+import { describeLabels, formatLabels, hasLabels } from './labels.js';
+
+// AI Provider Registry
+// Each provider builds its own (optionally streaming) request, extracts the
+// text from its own response and stream event formats and validates its own API key.
+const AI_PROVIDERS = {
     gemini: {
         name: 'Gemini',
-        endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
-        headers: () => ({
-            'Content-Type': 'application/json'
-        }),
+        label: 'Gemini (Google)',
+        requiresKey: true,
         modelName: 'gemini-2.5-flash',
-        getUrl: (apiKey) => `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`
+        buildRequest({ apiKey, systemPrompt, prompt, temperature, maxTokens, stream = false }) {
+            const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+            return {
+                url: `https://generativelanguage.googleapis.com/v1beta/models/${this.modelName}:${method}key=${apiKey}`,
+                headers: { 'Content-Type': 'application/json' },
+                body: {
+                    contents: [{ parts: [{ text: systemPrompt + '\n\n' + prompt }] }],
+                    generationConfig: { temperature, maxOutputTokens: maxTokens }
+                }
+            };
+        },
+        extractText: extractGeminiText,
+        extractStreamText: extractGeminiDelta,
+        async validateKey(apiKey) {
+            const request = this.buildRequest({
+                apiKey,
+                systemPrompt: '',
+                prompt: "Respond with just the word 'success'",
+                maxTokens: 10
+            });
+            return await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body)
+            });
+        }
+    },
+
+    claude: {
+        name: 'Claude',
+        label: 'Claude (Anthropic)',
+        requiresKey: true,
+        modelName: 'claude-sonnet-4-5',
+        buildRequest({ apiKey, systemPrompt, prompt, temperature, maxTokens, stream = false }) {
+            return {
+                url: 'https://api.anthropic.com/v1/messages',
+                headers: anthropicHeaders(apiKey),
+                body: {
+                    model: this.modelName,
+                    max_tokens: maxTokens,
+                    temperature,
+                    stream,
+                    system: systemPrompt,
+                    messages: [{ role: 'user', content: prompt }]
+                }
+            };
+        },
+        extractText: extractAnthropicText,
+        extractStreamText: extractAnthropicDelta,
+        async validateKey(apiKey) {
+            return await fetch('https://api.anthropic.com/v1/models?limit=1', {
+                headers: anthropicHeaders(apiKey)
+            });
+        }
+    },
+
+    openai: {
+        name: 'OpenAI',
+        label: 'ChatGPT (OpenAI)',
+        requiresKey: true,
+        modelName: 'gpt-4o',
+        buildRequest({ apiKey, systemPrompt, prompt, temperature, maxTokens, stream = false }) {
+            return {
+                url: 'https://api.openai.com/v1/chat/completions',
+                headers: openAIHeaders(apiKey),
+                body: {
+                    model: this.modelName,
+                    temperature,
+                    stream,
+                    max_completion_tokens: maxTokens,
+                    response_format: { type: 'json_object' },
+                    messages: [
+                        { role: 'system', content: systemPrompt },
+                        { role: 'user', content: prompt }
+                    ]
+                }
+            };
+        },
+        extractText: extractOpenAIText,
+        extractStreamText: extractOpenAIDelta,
+        async validateKey(apiKey) {
+            return await fetch('https://api.openai.com/v1/models', {
+                headers: openAIHeaders(apiKey)
+            });
+        }
+    },
+
+    openai_compatible: {
+        name: 'Local',
+        label: 'OpenAI-compatible endpoint',
+        requiresKey: false,
+        // Needs a base URL and model name from settings
+        configurable: true,
+        isConfigured: (settings) => !!(settings.base_url && settings.model),
+        buildRequest({ apiKey, settings, systemPrompt, prompt, temperature, maxTokens, stream = false }) {
+            return {
+                url: `${trimBaseUrl(settings.base_url)}/chat/completions`,
+                headers: openAIHeaders(apiKey),
+                body: {
+                    model: settings.model,
+                    temperature,
+                    stream,
+                    max_tokens: maxTokens,
+                    messages: [
+                        { role: 'system', content: systemPrompt },
+                        { role: 'user', content: prompt }
+                    ]
+                }
+            };
+        },
+        extractText: extractOpenAIText,
+        extractStreamText: extractOpenAIDelta,
+        async validateKey(apiKey, settings) {
+            return await fetch(`${trimBaseUrl(settings.base_url)}/models`, {
+                headers: openAIHeaders(apiKey)
+            });
+        }
     }
 };
 
+function anthropicHeaders(apiKey) {
+    return {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        // Required for calling the API straight from the browser
+        'anthropic-dangerous-direct-browser-access': 'true'
+    };
+}
+
+function openAIHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+}
+
+function trimBaseUrl(url) {
+    return (url || '').trim().replace(/\/+$/, '');
+}
+
+// ==================== Provider Settings ====================
+
+// Get non-secret settings for a provider (base URL, model, ...)
+export async function getProviderSettings(model) {
+    const allSettings = await getSetting('ai_provider_settings') || {};
+    return allSettings[model] || {};
+}
+
+// Save non-secret settings for a provider
+export async function saveProviderSettings(model, settings) {
+    const allSettings = await getSetting('ai_provider_settings') || {};
+    allSettings[model] = settings;
+    await setSetting('ai_provider_settings', allSettings);
+}
+
+// Check if a provider has everything it needs to make requests
+export async function isProviderConfigured(model) {
+    const provider = AI_PROVIDERS[model];
+    if (!provider) return false;
+
+    if (provider.requiresKey && !await hasAPIKey(model)) {
+        return false;
+    }
+
+    if (provider.isConfigured) {
+        return provider.isConfigured(await getProviderSettings(model));
+    }
+
+    return true;
+}
+
+// Rules for each AI mode
+const MODE_RULES = {
+    full_project: `- Create 3-6 phases for a complete project
+- Each phase should have 3-8 features
+- Features should be specific and actionable
+- Suggest 2-5 subtasks per feature`,
+    phase_level: `- Return exactly ONE phase: the phase being worked on
+- List every feature that phase should have (3-8), including existing ones worth keeping
+- Features should be specific and actionable
+- Suggest 2-5 subtasks per feature`,
+    feature_level: `- Return exactly ONE phase containing exactly ONE feature: the feature being refined
+- Keep the feature name, improve its description
+- Suggest 3-8 concrete subtasks that cover the whole feature`
+};
+
 // Get system prompt for AI
-function getSystemPrompt() {
+function getSystemPrompt(mode = 'full_project') {
     return `You are an expert project planner helping to structure HTML app development.
 Given a project goal and optional existing structure, generate a detailed plan.
 
@@ -43,11 +230,10 @@ Return ONLY valid JSON in this exact format:
 }
 
 Rules:
-- Create 3-6 phases for a complete project
-- Each phase should have 3-8 features
-- Features should be specific and actionable
-- Suggest 2-5 subtasks per feature
+${MODE_RULES[mode] || MODE_RULES.full_project}
+- "dependencies" lists the exact names of other features in the plan that must be done first
 - Respect constraints (keep/discard items)
+- Existing priority (P0 = most urgent), tags and assignees are set by the team: keep features and subtasks they apply to under the same names, and plan the most urgent work first
 - Return ONLY the JSON, no other text before or after`;
 }
 
@@ -59,10 +245,27 @@ function constructPrompt(userInput, context) {
         prompt += `Current Structure:\n${JSON.stringify(context.currentStructure, null, 2)}\n\n`;
     } else if (context.mode === 'phase_level' && context.selectedPhase) {
         prompt += `Working on Phase: ${context.selectedPhase.name}\n`;
-        prompt += `Current Features:\n${JSON.stringify(context.selectedPhase.features, null, 2)}\n\n`;
+        const features = context.selectedPhase.features.map(f => ({
+            name: f.name,
+            description: f.description,
+            status: f.status,
+            marked_as: f.marked_as,
+            ...describeLabels(f),
+            subtasks: f.subtasks.map(s => s.description)
+        }));
+        prompt += `Current Features:\n${JSON.stringify(features, null, 2)}\n\n`;
     } else if (context.mode === 'feature_level' && context.selectedFeature) {
         prompt += `Refining Feature: ${context.selectedFeature.name}\n`;
-        prompt += `Current Subtasks:\n${JSON.stringify(context.selectedFeature.subtasks, null, 2)}\n\n`;
+        prompt += `Current Description: ${context.selectedFeature.description || '(none)'}\n`;
+        if (hasLabels(context.selectedFeature)) {
+            prompt += `Labels: ${formatLabels(context.selectedFeature)}\n`;
+        }
+        const subtasks = context.selectedFeature.subtasks.map(s => ({
+            description: s.description,
+            completed: s.completed,
+            ...describeLabels(s)
+        }));
+        prompt += `Current Subtasks:\n${JSON.stringify(subtasks, null, 2)}\n\n`;
     }
 
     if (context.constraints?.keepItems?.length > 0) {
@@ -78,58 +281,36 @@ function constructPrompt(userInput, context) {
     }
 
     prompt += `User Request: ${userInput}\n\n`;
-    prompt += `Generate an updated project plan following the JSON format.`;
-
-    return prompt;
-}
 
-// Parse AI response based on model
-function parseAIResponse(model, data) {
-    if (model !== 'gemini') {
-        throw new Error(`Unsupported model: ${model}`);
+    if (context.mode === 'phase_level') {
+        prompt += `Generate the updated features for this phase following the JSON format.`;
+    } else if (context.mode === 'feature_level') {
+        prompt += `Generate the refined feature following the JSON format.`;
+    } else {
+        prompt += `Generate an updated project plan following the JSON format.`;
     }
 
-    console.log('[AI] Parsing response from Gemini...');
-    console.log('[AI] Raw response data:', JSON.stringify(data, null, 2));
-
-    // Check if the response has the expected structure
-    if (!data) {
-        console.error('[AI] Response data is null or undefined');
-        return {
-            success: false,
-            error: 'No response received from Gemini API',
-            rawResponse: null
-        };
-    }
+    return prompt;
+}
 
+// Extract the plan text from a Gemini response
+function extractGeminiText(data) {
     // Check for API errors in the response
     if (data.error) {
         console.error('[AI] API returned error:', data.error);
-        return {
-            success: false,
-            error: `Gemini API error: ${data.error.message || JSON.stringify(data.error)}`,
-            rawResponse: data
-        };
+        return { error: `Gemini API error: ${data.error.message || JSON.stringify(data.error)}` };
     }
 
     // Check for blocked content
     if (data.promptFeedback?.blockReason) {
         console.error('[AI] Content was blocked:', data.promptFeedback.blockReason);
-        return {
-            success: false,
-            error: `Content blocked: ${data.promptFeedback.blockReason}`,
-            rawResponse: data
-        };
+        return { error: `Content blocked: ${data.promptFeedback.blockReason}` };
     }
 
     // Check for candidates array
     if (!data.candidates || !Array.isArray(data.candidates) || data.candidates.length === 0) {
         console.error('[AI] No candidates in response');
-        return {
-            success: false,
-            error: 'Gemini returned no candidates. The request may have been filtered or failed.',
-            rawResponse: data
-        };
+        return { error: 'Gemini returned no candidates. The request may have been filtered or failed.' };
     }
 
     const candidate = data.candidates[0];
@@ -138,153 +319,399 @@ function parseAIResponse(model, data) {
     if (candidate.finishReason && candidate.finishReason !== 'STOP') {
         console.warn('[AI] Candidate finish reason:', candidate.finishReason);
         if (candidate.finishReason === 'SAFETY') {
-            return {
-                success: false,
-                error: 'Response was blocked due to safety filters',
-                rawResponse: data
-            };
+            return { error: 'Response was blocked due to safety filters' };
         }
     }
 
     // Check for content
     if (!candidate.content) {
         console.error('[AI] Candidate has no content');
-        return {
-            success: false,
-            error: 'Gemini response has no content',
-            rawResponse: data
-        };
+        return { error: 'Gemini response has no content' };
     }
 
     // Check for parts
     if (!candidate.content.parts || candidate.content.parts.length === 0) {
         console.error('[AI] Content has no parts');
+        return { error: 'Gemini response content is empty' };
+    }
+
+    return { text: candidate.content.parts[0].text };
+}
+
+// Extract the plan text from an Anthropic Messages response
+function extractAnthropicText(data) {
+    if (data.type === 'error' || data.error) {
+        console.error('[AI] API returned error:', data.error);
+        return { error: `Claude API error: ${data.error?.message || JSON.stringify(data.error)}` };
+    }
+
+    if (data.stop_reason && data.stop_reason !== 'end_turn') {
+        console.warn('[AI] Stop reason:', data.stop_reason);
+        if (data.stop_reason === 'refusal') {
+            return { error: 'Claude declined to respond to this request' };
+        }
+    }
+
+    const textBlocks = (data.content || []).filter(block => block.type === 'text');
+    if (textBlocks.length === 0) {
+        console.error('[AI] Response has no text blocks');
+        return { error: 'Claude response has no text content' };
+    }
+
+    return { text: textBlocks.map(block => block.text).join('') };
+}
+
+// Extract the plan text from an OpenAI Chat Completions response
+function extractOpenAIText(data) {
+    if (data.error) {
+        console.error('[AI] API returned error:', data.error);
+        return { error: `API error: ${data.error.message || JSON.stringify(data.error)}` };
+    }
+
+    if (!data.choices || data.choices.length === 0) {
+        console.error('[AI] No choices in response');
+        return { error: 'The AI returned no choices' };
+    }
+
+    const choice = data.choices[0];
+
+    if (choice.finish_reason && choice.finish_reason !== 'stop') {
+        console.warn('[AI] Finish reason:', choice.finish_reason);
+        if (choice.finish_reason === 'content_filter') {
+            return { error: 'Response was blocked by the content filter' };
+        }
+    }
+
+    if (choice.message?.refusal) {
+        return { error: `The AI refused: ${choice.message.refusal}` };
+    }
+
+    return { text: choice.message?.content };
+}
+
+// Extract the new text from one Gemini stream chunk
+function extractGeminiDelta(event) {
+    if (event.error) {
+        return { error: `Gemini API error: ${event.error.message || JSON.stringify(event.error)}` };
+    }
+
+    if (event.promptFeedback?.blockReason) {
+        return { error: `Content blocked: ${event.promptFeedback.blockReason}` };
+    }
+
+    const candidate = event.candidates?.[0];
+    if (candidate?.finishReason === 'SAFETY') {
+        return { error: 'Response was blocked due to safety filters' };
+    }
+
+    return { text: (candidate?.content?.parts || []).map(part => part.text || '').join('') };
+}
+
+// Extract the new text from one Anthropic stream event
+function extractAnthropicDelta(event) {
+    if (event.type === 'error') {
+        return { error: `Claude API error: ${event.error?.message || JSON.stringify(event.error)}` };
+    }
+
+    if (event.type === 'message_delta' && event.delta?.stop_reason === 'refusal') {
+        return { error: 'Claude declined to respond to this request' };
+    }
+
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        return { text: event.delta.text };
+    }
+
+    return { text: '' };
+}
+
+// Extract the new text from one OpenAI Chat Completions stream chunk
+function extractOpenAIDelta(event) {
+    if (event.error) {
+        return { error: `API error: ${event.error.message || JSON.stringify(event.error)}` };
+    }
+
+    const choice = event.choices?.[0];
+    if (choice?.finish_reason === 'content_filter') {
+        return { error: 'Response was blocked by the content filter' };
+    }
+
+    return { text: choice?.delta?.content || '' };
+}
+
+// Parse AI response based on model
+function parseAIResponse(model, data) {
+    const provider = AI_PROVIDERS[model];
+    if (!provider) {
+        throw new Error(`Unsupported model: ${model}`);
+    }
+
+    console.log(`[AI] Parsing response from ${provider.name}...`);
+
+    // Check if the response has the expected structure
+    if (!data) {
+        console.error('[AI] Response data is null or undefined');
+        return {
+            success: false,
+            error: `No response received from ${provider.name} API`,
+            rawResponse: null
+        };
+    }
+
+    const extracted = provider.extractText(data);
+
+    if (extracted.error) {
         return {
             success: false,
-            error: 'Gemini response content is empty',
+            error: extracted.error,
             rawResponse: data
         };
     }
 
-    const aiText = candidate.content.parts[0].text;
+    const aiText = extracted.text;
 
     if (!aiText || typeof aiText !== 'string') {
-        console.error('[AI] No text in response parts');
+        console.error('[AI] No text in response');
         return {
             success: false,
-            error: 'Gemini returned no text content',
+            error: `${provider.name} returned no text content`,
             rawResponse: data
         };
     }
 
+    return parseAIText(model, aiText);
+}
+
+// Parse the plan JSON out of the full response text
+// Broken output is repaired where possible; otherwise the result is marked
+// retryable so the model can be asked to fix it
+function parseAIText(model, aiText) {
     console.log('[AI] Extracted text:', aiText.substring(0, 500) + '...');
 
-    // Remove markdown code fences if present
-    const cleaned = aiText.replace(/```json\n?|```\n?/g, '').trim();
+    const parsed = parsePlanText(aiText);
+    if (!parsed) {
+        console.error('[AI] Raw text that failed to parse:', aiText.substring(0, 1000));
+        return {
+            success: false,
+            error: `Failed to parse JSON from ${model}`,
+            rawResponse: aiText,
+            retryable: true
+        };
+    }
 
-    try {
-        const parsed = JSON.parse(cleaned);
+    const validation = validatePlan(parsed.data);
+    if (validation.valid) {
         console.log('[AI] Successfully parsed JSON response');
-        console.log('[AI] Parsed phases count:', parsed.phases?.length || 0);
-
-        // Validate the parsed structure
-        if (!parsed.phases || !Array.isArray(parsed.phases)) {
-            return {
-                success: false,
-                error: 'AI response does not contain a valid "phases" array',
-                rawResponse: aiText
-            };
-        }
-
+        console.log('[AI] Parsed phases count:', parsed.data.phases.length);
         return {
             success: true,
-            data: parsed,
-            model: model
+            data: parsed.data,
+            model: model,
+            repairs: parsed.repairs
         };
-    } catch (error) {
-        console.error('[AI] JSON parse error:', error);
-        console.error('[AI] Raw text that failed to parse:', cleaned.substring(0, 1000));
+    }
+
+    console.warn('[AI] Plan failed validation:', validation.errors);
+    const { plan, repairs } = repairPlan(parsed.data);
+
+    if (plan) {
+        console.log('[AI] Plan repaired:', repairs);
         return {
-            success: false,
-            error: `Failed to parse JSON from ${model}: ${error.message}`,
-            rawResponse: aiText
+            success: true,
+            data: plan,
+            model: model,
+            repairs: [...parsed.repairs, ...repairs]
         };
     }
+
+    return {
+        success: false,
+        error: `AI response does not match the plan format: ${formatSchemaErrors(validation.errors)}`,
+        rawResponse: aiText,
+        schemaErrors: validation.errors,
+        retryable: true
+    };
+}
+
+// Build the follow-up prompt asking the model to fix its own output
+function constructFixPrompt(failed) {
+    const problems = failed.schemaErrors?.length
+        ? formatSchemaErrors(failed.schemaErrors, 20)
+        : 'The output is not valid JSON.';
+
+    return `Your previous response could not be used as a project plan.
+
+Problems: ${problems}
+
+Previous response:
+${failed.rawResponse}
+
+Return the corrected plan as complete, valid JSON in the required format. Keep the same content where it is valid.`;
+}
+
+// The request currently in flight, so it can be cancelled from the UI
+let activeRequest = null;
+
+// Cancel the AI request in flight, if any
+export function cancelAIRequest() {
+    if (!activeRequest) return false;
+
+    console.log('[AI] Cancelling request...');
+    activeRequest.cancelled = true;
+    activeRequest.controller.abort();
+    return true;
 }
 
 // Main AI call function
-export async function callAI(model, userPrompt, context) {
+// Streams the response; onProgress is called with { text, data, attempt } as the plan
+// arrives, where data is the partially parsed JSON (or null if nothing is parseable yet)
+// If the plan can't be parsed or repaired, the model is asked once to fix its output
+export async function callAI(model, userPrompt, context, { onProgress } = {}) {
     console.log('[AI] Starting AI call...');
     console.log('[AI] Model:', model);
     console.log('[AI] User prompt:', userPrompt);
 
-    if (model !== 'gemini') {
-        throw new Error(`Only Gemini is supported now. Selected: ${model}`);
+    const provider = AI_PROVIDERS[model];
+    if (!provider) {
+        throw new Error(`Unsupported AI provider: ${model}`);
     }
 
     const apiKey = await getAPIKey(model);
     console.log('[AI] API key retrieved:', apiKey ? 'Yes (length: ' + apiKey.length + ')' : 'No');
 
-    if (!apiKey) {
-        throw new Error(`API key not set for ${AI_CONFIGS[model].name}. Please add your API key in Settings.`);
+    if (provider.requiresKey && !apiKey) {
+        throw new Error(`API key not set for ${provider.name}. Please add your API key in Settings.`);
+    }
+
+    const settings = await getProviderSettings(model);
+    if (provider.isConfigured && !provider.isConfigured(settings)) {
+        throw new Error(`${provider.label} is not configured. Please set it up in Settings.`);
     }
 
-    const config = AI_CONFIGS[model];
     const prompt = constructPrompt(userPrompt, context);
     console.log('[AI] Full prompt constructed (first 500 chars):', prompt.substring(0, 500));
 
-    const endpoint = config.getUrl(apiKey);
-    console.log('[AI] Endpoint:', endpoint.replace(apiKey, 'API_KEY_HIDDEN'));
-
-    const requestBody = {
-        contents: [{
-            parts: [{
-                text: getSystemPrompt() + '\n\n' + prompt
-            }]
-        }],
-        generationConfig: {
-            temperature: 0.7,
-            maxOutputTokens: 4096
-        }
-    };
+    const systemPrompt = getSystemPrompt(context.mode);
+    const result = await requestPlan(model, { apiKey, settings, systemPrompt, prompt, onProgress, attempt: 1 });
+
+    if (result.success || !result.retryable) {
+        return result;
+    }
+
+    // One automatic follow-up asking the model to fix its own output
+    console.warn('[AI] Unusable plan, asking the model to fix it:', result.error);
+    const retry = await requestPlan(model, {
+        apiKey,
+        settings,
+        systemPrompt,
+        prompt: constructFixPrompt(result),
+        onProgress,
+        attempt: 2
+    });
+
+    if (retry.success) {
+        retry.repairs = ['Asked the AI to fix its invalid output', ...(retry.repairs || [])];
+        return retry;
+    }
+
+    if (retry.cancelled) {
+        return retry;
+    }
+
+    return { ...result, error: `${result.error} (automatic fix also failed: ${retry.error})` };
+}
+
+// Send one streaming plan request and parse the result
+async function requestPlan(model, { apiKey, settings, systemPrompt, prompt, onProgress, attempt }) {
+    const provider = AI_PROVIDERS[model];
+
+    const request = provider.buildRequest({
+        apiKey,
+        settings,
+        systemPrompt,
+        prompt,
+        temperature: 0.7,
+        maxTokens: 4096,
+        stream: true
+    });
+    console.log('[AI] Endpoint:', apiKey ? request.url.replace(apiKey, 'API_KEY_HIDDEN') : request.url);
 
-    // Create AbortController for timeout
+    // Create AbortController for timeout and cancellation
+    // The timeout restarts whenever data arrives, so long streams aren't cut off
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => {
-        console.error('[AI] Request timed out after 60 seconds');
-        controller.abort();
-    }, 60000); // 60 second timeout
+    const current = { controller, cancelled: false, timedOut: false };
+    activeRequest = current;
+
+    let timeoutId = null;
+    const resetTimeout = () => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+            console.error('[AI] Request timed out after 60 seconds without data');
+            current.timedOut = true;
+            controller.abort();
+        }, 60000); // 60 second timeout
+    };
 
     try {
         console.log('[AI] Making fetch request...');
         const startTime = Date.now();
+        resetTimeout();
 
-        // Make API call with timeout
-        const response = await fetch(endpoint, {
+        const response = await fetch(request.url, {
             method: 'POST',
-            headers: config.headers(apiKey),
-            body: JSON.stringify(requestBody),
+            headers: request.headers,
+            body: JSON.stringify(request.body),
             signal: controller.signal
         });
 
-        clearTimeout(timeoutId);
-        const duration = Date.now() - startTime;
-        console.log(`[AI] Response received in ${duration}ms`);
+        console.log(`[AI] Response started in ${Date.now() - startTime}ms`);
         console.log('[AI] Response status:', response.status, response.statusText);
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
             console.error('[AI] API Error Response:', errorData);
-            throw new Error(`${config.name} API error (${response.status}): ${errorData.error?.message || response.statusText}`);
+            throw new Error(`${provider.name} API error (${response.status}): ${errorData.error?.message || response.statusText}`);
         }
 
-        const data = await response.json();
-        console.log('[AI] Response JSON received, parsing...');
+        // Some compatible servers ignore the stream flag and answer in one go
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('text/event-stream') || !response.body) {
+            console.log('[AI] Response is not a stream, parsing as JSON...');
+            return parseAIResponse(model, await response.json());
+        }
+
+        let aiText = '';
 
-        return parseAIResponse(model, data);
+        await readEventStream(response, (event) => {
+            resetTimeout();
+
+            const delta = provider.extractStreamText(event);
+            if (delta.error) {
+                throw new Error(delta.error);
+            }
+            if (!delta.text) return;
+
+            aiText += delta.text;
+            if (onProgress) {
+                onProgress({ text: aiText, data: parsePartialJSON(aiText), attempt });
+            }
+        });
+
+        console.log(`[AI] Stream finished in ${Date.now() - startTime}ms (${aiText.length} chars)`);
+
+        if (!aiText) {
+            return {
+                success: false,
+                error: `${provider.name} returned no text content`,
+                rawResponse: null
+            };
+        }
+
+        return parseAIText(model, aiText);
 
     } catch (error) {
-        clearTimeout(timeoutId);
+        if (current.cancelled) {
+            return { success: false, cancelled: true, error: 'AI request cancelled' };
+        }
 
         if (error.name === 'AbortError') {
             throw new Error('AI request timed out after 60 seconds. Please try again.');
@@ -292,41 +719,81 @@ export async function callAI(model, userPrompt, context) {
 
         console.error('[AI] Fetch error:', error);
         throw error;
+
+    } finally {
+        clearTimeout(timeoutId);
+        if (activeRequest === current) {
+            activeRequest = null;
+        }
     }
 }
 
-// Validate API key by making a test request
-export async function validateAPIKey(model, apiKey) {
-    if (model !== 'gemini') {
-        return false;
-    }
+// Read a Server-Sent Events response, calling onEvent with each parsed data payload
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleBlock = (block) => {
+        const data = block
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+
+        if (!data || data === '[DONE]') return;
+
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (error) {
+            console.warn('[AI] Skipping unparseable stream event:', data.substring(0, 200));
+            return;
+        }
+        onEvent(event);
+    };
 
     try {
-        const config = AI_CONFIGS[model];
-        const testPrompt = "Respond with just the word 'success'";
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
 
-        console.log(`Validating ${model} API key...`);
+            buffer += decoder.decode(value, { stream: true });
 
-        const endpoint = config.getUrl(apiKey);
-        const requestBody = {
-            contents: [{ parts: [{ text: testPrompt }] }],
-            generationConfig: { maxOutputTokens: 10 }
-        };
+            // Events are separated by a blank line
+            const blocks = buffer.split(/\r?\n\r?\n/);
+            buffer = blocks.pop();
+            blocks.forEach(handleBlock);
+        }
+    } catch (error) {
+        // Stop the download if an event reported an error
+        reader.cancel().catch(() => {});
+        throw error;
+    }
 
-        console.log('Request endpoint:', endpoint);
-        console.log('Request body:', JSON.stringify(requestBody, null, 2));
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+        handleBlock(buffer);
+    }
+}
 
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: config.headers(apiKey),
-            body: JSON.stringify(requestBody)
-        });
+// Validate API key (and provider settings) by making a test request
+export async function validateAPIKey(model, apiKey, settings = {}) {
+    const provider = AI_PROVIDERS[model];
+    if (!provider) {
+        return false;
+    }
+
+    try {
+        console.log(`Validating ${model} API key...`);
+
+        const response = await provider.validateKey(apiKey, settings);
 
         console.log('Response status:', response.status, response.statusText);
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            console.error(`${config.name} API validation error:`, errorData);
+            console.error(`${provider.name} API validation error:`, errorData);
             console.error('Full error details:', {
                 status: response.status,
                 statusText: response.statusText,
@@ -348,14 +815,17 @@ export async function validateAPIKey(model, apiKey) {
 
 // Switch AI model for a project
 export async function switchAIModel(project, newModel) {
-    const hasKey = await hasAPIKey(newModel);
+    const provider = AI_PROVIDERS[newModel];
+    const configured = await isProviderConfigured(newModel);
 
-    if (!hasKey) {
+    if (!configured) {
         showNotification({
             type: 'warning',
-            message: `API key required for ${AI_CONFIGS[newModel].name}`,
+            message: provider.requiresKey
+                ? `API key required for ${provider.name}`
+                : `${provider.label} needs to be configured`,
             action: {
-                label: 'Add Key',
+                label: 'Settings',
                 callback: () => document.getElementById('settings-modal').classList.add('show')
             }
         });
@@ -366,7 +836,7 @@ export async function switchAIModel(project, newModel) {
 
     showNotification({
         type: 'success',
-        message: `Switched to ${AI_CONFIGS[newModel].name}`
+        message: `Switched to ${provider.name}`
     });
 
     return true;
@@ -374,9 +844,12 @@ export async function switchAIModel(project, newModel) {
 
 // Get available models
 export function getAvailableModels() {
-    return Object.entries(AI_CONFIGS).map(([key, config]) => ({
+    return Object.entries(AI_PROVIDERS).map(([key, provider]) => ({
         id: key,
-        name: config.name
+        name: provider.name,
+        label: provider.label,
+        requiresKey: provider.requiresKey,
+        configurable: !!provider.configurable
     }));
 }
 
@@ -443,6 +916,7 @@ export function buildAIContext(project, mode = 'full_project', selectedItem = nu
 
     // Build current structure summary
     if (mode === 'full_project') {
+        const featureNames = new Map(project.phases.flatMap(p => p.features).map(f => [f.id, f.name]));
         context.currentStructure = project.phases.map(p => ({
             name: p.name,
             description: p.description,
@@ -450,7 +924,13 @@ export function buildAIContext(project, mode = 'full_project', selectedItem = nu
                 name: f.name,
                 description: f.description,
                 status: f.status,
-                marked_as: f.marked_as
+                marked_as: f.marked_as,
+                ...describeLabels(f),
+                dependencies: f.dependencies.map(id => featureNames.get(id)).filter(Boolean),
+                // Only subtasks with labels, so they keep their names
+                ...(f.subtasks.some(hasLabels) ? {
+                    labelled_subtasks: f.subtasks.filter(hasLabels).map(s => ({ description: s.description, ...describeLabels(s) }))
+                } : {})
             }))
         }));
     } else if (mode === 'phase_level' && selectedItem) {
@@ -459,8 +939,15 @@ export function buildAIContext(project, mode = 'full_project', selectedItem = nu
         context.selectedFeature = selectedItem;
     }
 
-    // Collect keep/discard items
-    for (const phase of project.phases) {
+    // Collect keep/discard items within the scope being worked on
+    let scopePhases = project.phases;
+    if (mode === 'phase_level' && selectedItem) {
+        scopePhases = [selectedItem];
+    } else if (mode === 'feature_level') {
+        scopePhases = [];
+    }
+
+    for (const phase of scopePhases) {
         for (const feature of phase.features) {
             if (feature.marked_as === 'keep') {
                 context.constraints.keepItems.push(feature);
@@ -472,3 +959,66 @@ export function buildAIContext(project, mode = 'full_project', selectedItem = nu
 
     return context;
 }
+
+// Words that say nothing about which feature is meant
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'with', 'feature']);
+
+// Normalize a feature name for matching: lowercase, no punctuation
+function normalizeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function nameWords(name) {
+    return new Set(normalizeName(name).split(' ').filter(word => word && !STOP_WORDS.has(word)));
+}
+
+// Find the feature an AI dependency reference points to
+// Tries the feature ID, then the exact name, then one name containing the
+// other, then the best word overlap. Returns null if nothing (or more than
+// one feature equally) matches
+export function resolveFeatureReference(reference, features) {
+    const byId = features.find(f => f.id === reference);
+    if (byId) return byId;
+
+    const normalized = normalizeName(reference);
+    if (!normalized) return null;
+
+    const exact = features.filter(f => normalizeName(f.name) === normalized);
+    if (exact.length === 1) return exact[0];
+    if (exact.length > 1) return null;
+
+    // "Login" vs "User login form", but not for very short names
+    const containing = features.filter(f => {
+        const name = normalizeName(f.name);
+        const shorter = name.length < normalized.length ? name : normalized;
+        return shorter.length >= 4 && (name.includes(normalized) || normalized.includes(name));
+    });
+    if (containing.length === 1) return containing[0];
+
+    // Jaccard similarity of the words in both names
+    const referenceWords = nameWords(reference);
+    if (referenceWords.size === 0) return null;
+
+    let best = null;
+    let bestScore = 0;
+    let tied = false;
+
+    for (const feature of containing.length > 1 ? containing : features) {
+        const words = nameWords(feature.name);
+        const shared = [...referenceWords].filter(word => words.has(word)).length;
+        const score = shared / (referenceWords.size + words.size - shared);
+
+        if (score > bestScore) {
+            best = feature;
+            bestScore = score;
+            tied = false;
+        } else if (score === bestScore && score > 0) {
+            tied = true;
+        }
+    }
+
+    return bestScore >= 0.5 && !tied ? best : null;
+}
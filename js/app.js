@@ -18,40 +18,123 @@ import {
     deleteAPIKey,
     exportProject,
     importProject,
+    regenerateProjectIds,
+    addProject,
+    saveProjectVersion,
+    getProjectContent,
+    setProjectContent,
     setCurrentProject,
     getCurrentProject,
     autoSave,
+    onProjectChange,
     addPhase,
     findPhase,
-    findFeature
+    findFeature,
+    addDependency,
+    pruneDependencies
 } from './storage.js';
 
 import {
     initCanvas,
-    renderProject,
     setCanvasState,
     getCanvasState,
     zoomIn,
     zoomOut,
     resetZoom,
-    addNewPhase
+    addNewPhase,
+    setDependencyOverlay,
+    isDependencyOverlayEnabled,
+    getSelectedItem,
+    onSelectionChange,
+    renderAIPreview,
+    clearAIPreview,
+    focusFeature,
+    focusPhase
 } from './canvas.js';
 
+import { initBoard } from './board.js';
+import { initOutline } from './outline.js';
+import { initTimeline } from './timeline.js';
+import { renderCurrentView, setViewMode, getViewMode } from './views.js';
+import { renderNextUp } from './next-up.js';
+import { initSearch } from './search.js';
+
 import {
     callAI,
     validateAPIKey,
     getAvailableModels,
     buildAIContext,
     mergeAIResponse,
-    switchAIModel
+    switchAIModel,
+    getProviderSettings,
+    saveProviderSettings,
+    isProviderConfigured,
+    cancelAIRequest,
+    resolveFeatureReference
 } from './ai.js';
 
 import {
-    syncToGist,
+    initHistory,
+    loadHistory,
+    undo,
+    redo
+} from './history.js';
+
+import { openVersionsPanel } from './versions.js';
+import { openGistRevisionsPanel } from './gist-revisions.js';
+
+import { reviewAIPlan } from './review.js';
+
+import { mergeProjects } from './merge.js';
+
+import { resolveSyncConflicts } from './conflicts.js';
+
+import { previewGistImport } from './gist-import.js';
+
+import { isDoneStatus } from './statuses.js';
+import { carryOverLabels } from './labels.js';
+import { computeSchedule, DEFAULT_DURATION } from './schedule.js';
+
+import {
+    initAutoSync,
+    isAutoSyncEnabled,
+    setAutoSyncEnabled,
+    refreshAutoSyncStatus,
+    waitForAutoSync
+} from './autosync.js';
+
+import {
+    initVault,
+    isVaultEnabled,
+    isVaultLocked,
+    unlockVault,
+    lockVault,
+    enableVault,
+    disableVault
+} from './vault.js';
+
+import {
+    pushWorkspace,
+    fetchWorkspace,
+    applyWorkspace,
+    getExistingProjectIds,
+    getWorkspaceGistId
+} from './workspace.js';
+
+import {
+    createGist,
+    updateGist,
     fetchGist,
+    getSyncBase,
+    saveSyncBase,
+    getSyncAction,
+    parseGistReference,
     hasGithubToken,
     saveGithubToken,
-    validateGithubToken
+    validateGithubToken,
+    checkGithubToken,
+    getGithubAccount,
+    saveGithubAccount
 } from './gist.js';
 
 import {
@@ -60,7 +143,9 @@ import {
     promptDialog,
     formatDate,
     formatDateForFile,
-    generateId
+    formatDayLabel,
+    generateId,
+    sanitizeHTML
 } from './utils.js';
 
 // App state
@@ -73,9 +158,18 @@ async function init() {
 
         // Initialize database
         await initDatabase();
+        await initVault();
+        initHistory();
+        onProjectChange(renderProjectETA);
+        onProjectChange(refreshNextUp);
 
         // Initialize canvas
         initCanvas();
+        initBoard();
+        initOutline();
+        initTimeline();
+        initSearch({ onFocus: showItemOnCanvas });
+        setDependencyOverlay(!!await getSetting('show_dependency_overlay'));
 
         // Load projects
         await loadProjects();
@@ -97,6 +191,14 @@ async function init() {
         setupAIPanel();
         await updateAPIKeyStatus();
 
+        await initAutoSync({
+            onStatusChange: renderSyncStatus,
+            onPulled: handleAutoSyncPulled,
+            onConflict: handleAutoSyncConflict
+        });
+        document.getElementById('auto-sync-toggle').checked = isAutoSyncEnabled();
+        await warnIfGithubTokenExpiring();
+
         showLoadingOverlay(false);
 
     } catch (error) {
@@ -118,9 +220,27 @@ function setupEventListeners() {
     document.getElementById('import-btn').addEventListener('click', handleImport);
     document.getElementById('import-file-input').addEventListener('change', handleImportFile);
 
+    // Import from Gist
+    document.getElementById('import-gist-btn').addEventListener('click', handleImportGist);
+
     // Sync to Gist
     document.getElementById('sync-gist-btn').addEventListener('click', handleSyncGist);
 
+    document.getElementById('sync-status').addEventListener('click', handleSyncGist);
+
+    // Versions
+    document.getElementById('versions-btn').addEventListener('click', () => openVersionsPanel(refreshCurrentProject));
+    document.getElementById('gist-history-btn').addEventListener('click', async () => {
+        if (!await ensureVaultUnlocked()) return;
+        openGistRevisionsPanel({
+            onRestored: refreshCurrentProject,
+            onCopied: async (project) => {
+                await loadProjects();
+                await openProject(project.id);
+            }
+        });
+    });
+
     // Settings
     document.getElementById('settings-btn').addEventListener('click', openSettings);
     document.getElementById('close-settings-btn').addEventListener('click', closeSettings);
@@ -131,6 +251,22 @@ function setupEventListeners() {
     document.getElementById('zoom-out-btn').addEventListener('click', zoomOut);
     document.getElementById('zoom-reset-btn').addEventListener('click', resetZoom);
 
+    // Dependency overlay
+    const overlayBtn = document.getElementById('dependency-overlay-btn');
+    overlayBtn.classList.toggle('active', isDependencyOverlayEnabled());
+    overlayBtn.addEventListener('click', toggleDependencyOverlay);
+
+    // View switcher
+    document.querySelectorAll('.view-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const project = getCurrentProject();
+            if (!project) return;
+
+            setViewMode(project, btn.dataset.view);
+            autoSave();
+        });
+    });
+
     // Project dropdown
     document.getElementById('project-dropdown').addEventListener('change', handleProjectChange);
 
@@ -142,12 +278,14 @@ function setupEventListeners() {
             handleAIGenerate();
         }
     });
+    document.getElementById('ai-cancel-btn').addEventListener('click', cancelAIRequest);
 
     // AI Mode selection
     document.querySelectorAll('.ai-mode-btn').forEach(btn => {
         btn.addEventListener('click', () => {
             document.querySelectorAll('.ai-mode-btn').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
+            updateAISelectionDisplay();
         });
     });
 
@@ -155,12 +293,29 @@ function setupEventListeners() {
     document.getElementById('ai-model-selector').addEventListener('change', handleModelChange);
 
     // API Key management in settings
-    document.querySelectorAll('.add-api-key-btn').forEach(btn => {
-        btn.addEventListener('click', () => addAPIKey(btn.dataset.model));
+    renderAPIKeyRows();
+    document.getElementById('api-key-rows').addEventListener('click', (e) => {
+        const btn = e.target.closest('.add-api-key-btn');
+        if (!btn) return;
+
+        if (btn.dataset.configurable) {
+            configureProvider(btn.dataset.model);
+        } else {
+            addAPIKey(btn.dataset.model);
+        }
     });
 
     // GitHub token
     document.getElementById('add-github-token-btn').addEventListener('click', addGithubToken);
+    document.getElementById('auto-sync-toggle').addEventListener('change', (e) => setAutoSyncEnabled(e.target.checked));
+
+    // Passphrase encryption
+    document.getElementById('vault-btn').addEventListener('click', handleVaultButton);
+    document.getElementById('vault-disable-btn').addEventListener('click', handleDisableVault);
+
+    // Workspace backup
+    document.getElementById('push-workspace-btn').addEventListener('click', handlePushWorkspace);
+    document.getElementById('restore-workspace-btn').addEventListener('click', handleRestoreWorkspace);
 
     // Modal close on overlay click
     document.querySelectorAll('.modal-overlay').forEach(overlay => {
@@ -189,6 +344,25 @@ function handleKeyboardShortcuts(e) {
         forceSave();
     }
 
+    // Cmd/Ctrl + Z = Undo, Cmd/Ctrl + Shift + Z (or Ctrl + Y) = Redo
+    // Text fields keep their native undo
+    if ((e.metaKey || e.ctrlKey) && !isTextEditingTarget(e.target)) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            handleRedo();
+        }
+    }
+
+    // Cmd/Ctrl + F = Search the plan
+    if ((e.metaKey || e.ctrlKey) && e.key === 'f') {
+        e.preventDefault();
+        document.getElementById('search-input').focus();
+    }
+
     // Cmd/Ctrl + E = Export
     if ((e.metaKey || e.ctrlKey) && e.key === 'e') {
         e.preventDefault();
@@ -203,6 +377,10 @@ function handleKeyboardShortcuts(e) {
     }
 }
 
+function isTextEditingTarget(target) {
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
 // ==================== Project Management ====================
 
 async function loadProjects() {
@@ -223,6 +401,7 @@ async function openProject(projectId) {
         }
 
         setCurrentProject(project);
+        loadHistory(project);
 
         // Update dropdown selection
         const dropdown = document.getElementById('project-dropdown');
@@ -234,15 +413,20 @@ async function openProject(projectId) {
         // Update AI model selector
         document.getElementById('ai-model-selector').value = project.ai_model || 'gemini';
 
-        // Render project
-        renderProject(project);
+        // Render project in its view
+        renderCurrentView(project);
+        updateAISelectionDisplay();
 
         // Update project goal display
         document.getElementById('project-goal-display').textContent = project.goal || 'No goal set';
+        renderProjectETA();
+        refreshNextUp();
 
         // Save as last opened project
         await setSetting('last_project_id', projectId);
 
+        await refreshAutoSyncStatus();
+
     } catch (error) {
         console.error('Failed to open project:', error);
         showNotification({ type: 'error', message: 'Failed to open project' });
@@ -293,6 +477,105 @@ async function forceSave() {
     }
 }
 
+async function toggleDependencyOverlay() {
+    const enabled = !isDependencyOverlayEnabled();
+    setDependencyOverlay(enabled);
+    document.getElementById('dependency-overlay-btn').classList.toggle('active', enabled);
+    await setSetting('show_dependency_overlay', enabled);
+}
+
+// ==================== Undo/Redo ====================
+
+function handleUndo() {
+    if (!undo()) {
+        showNotification({ type: 'info', message: 'Nothing to undo', duration: 1500 });
+        return;
+    }
+    refreshCurrentProject();
+}
+
+function handleRedo() {
+    if (!redo()) {
+        showNotification({ type: 'info', message: 'Nothing to redo', duration: 1500 });
+        return;
+    }
+    refreshCurrentProject();
+}
+
+// Re-render after the project content was replaced (undo, restore, ...)
+function refreshCurrentProject() {
+    const project = getCurrentProject();
+    renderCurrentView(project);
+    document.getElementById('project-goal-display').textContent = project.goal || 'No goal set';
+    renderProjectETA();
+    refreshNextUp();
+}
+
+// Re-rank the "Next up" panel
+function refreshNextUp() {
+    renderNextUp(getCurrentProject(), showFeatureOnCanvas);
+}
+
+// Switch to the canvas and zoom to a feature
+function showFeatureOnCanvas(featureId) {
+    showItemOnCanvas('feature', featureId);
+}
+
+// Switch to the canvas and zoom to a phase or feature
+function showItemOnCanvas(type, id) {
+    const project = getCurrentProject();
+    if (!project) return;
+
+    if (getViewMode(project) !== 'canvas') {
+        setViewMode(project, 'canvas');
+        autoSave();
+    }
+
+    if (type === 'phase') {
+        focusPhase(id);
+    } else {
+        focusFeature(id);
+    }
+}
+
+// Show when the remaining work should be done, following the critical path
+function renderProjectETA() {
+    const eta = document.getElementById('project-eta');
+    const project = getCurrentProject();
+    const features = project ? project.phases.flatMap(phase => phase.features) : [];
+
+    eta.hidden = features.length === 0;
+    eta.className = 'project-eta';
+    if (features.length === 0) return;
+
+    const schedule = computeSchedule(project);
+    const nameOf = id => features.find(feature => feature.id === id)?.name;
+
+    if (schedule.cycles.length > 0) {
+        eta.classList.add('warning');
+        eta.textContent = '⚠️ Dependency cycle';
+        eta.title = schedule.cycles
+            .map(cycle => `${cycle.map(nameOf).join(' → ')} → ${nameOf(cycle[0])}`)
+            .join('\n');
+    } else if (schedule.remaining === 0) {
+        eta.classList.add('done');
+        eta.textContent = '✓ Complete';
+        eta.title = 'Every feature is done';
+    } else if (schedule.unestimated === schedule.remaining) {
+        eta.textContent = 'ETA: —';
+        eta.title = 'Add estimates or dates to features to get an ETA';
+    } else {
+        const days = schedule.finish - schedule.start;
+        eta.textContent = `ETA: ${formatDayLabel(schedule.finish - 1)}`;
+        eta.title = [
+            `Critical path (${days} day${days === 1 ? '' : 's'}): ${schedule.criticalPath.map(nameOf).join(' → ')}`,
+            schedule.unestimated > 0
+                ? `Open features without an estimate (${schedule.unestimated}) count as ${DEFAULT_DURATION} day each`
+                : ''
+        ].filter(Boolean).join('\n');
+    }
+}
+
 // ==================== Export/Import ====================
 
 function handleExport() {
@@ -326,6 +609,9 @@ async function handleImportFile(e) {
     try {
         const text = await file.text();
         const project = await importProject(text);
+        // Imports get new IDs and never overwrite a project, so there is no earlier
+        // state to keep; the first version records the project as imported
+        await saveProjectVersion(project, `Imported from ${file.name}`);
         await loadProjects();
         await openProject(project.id);
         showNotification({ type: 'success', message: 'Project imported' });
@@ -340,6 +626,63 @@ async function handleImportFile(e) {
 
 // ==================== GitHub Gist ====================
 
+async function handleImportGist() {
+    if (!await ensureVaultUnlocked()) return;
+
+    const input = await promptDialog('Paste a Gist URL or ID:', '', 'Import from Gist');
+    if (!input) return;
+
+    const gistId = parseGistReference(input);
+    if (!gistId) {
+        showNotification({ type: 'warning', message: 'That doesn\'t look like a Gist URL or ID' });
+        return;
+    }
+
+    try {
+        showLoadingOverlay(true);
+        const remote = await fetchGist(gistId);
+        showLoadingOverlay(false);
+
+        // A Gist can only be linked to one local project
+        const projects = await getAllProjects();
+        const linked = projects.find(p => p.id === remote.project.id || p.gist_id === remote.gist_id) || null;
+
+        const choice = await previewGistImport(remote, linked);
+        if (!choice) return;
+
+        const project = remote.project;
+        if (choice === 'copy') {
+            regenerateProjectIds(project);
+        } else {
+            project.gist_id = remote.gist_id;
+            project.gist_url = remote.gist_url;
+            project.last_synced = remote.updated_at;
+        }
+
+        showLoadingOverlay(true);
+        await addProject(project);
+        if (choice === 'link') {
+            await saveSyncBase(project.id, getProjectContent(project));
+        }
+        // Nothing is overwritten (a Gist linked here already can only be copied),
+        // so the first version records the project as imported
+        await saveProjectVersion(project, `Imported from Gist ${gistId}`);
+
+        await loadProjects();
+        await openProject(project.id);
+        showNotification({
+            type: 'success',
+            message: choice === 'link' ? 'Project imported and linked to the Gist' : 'Project copied from the Gist'
+        });
+
+    } catch (error) {
+        console.error('Gist import failed:', error);
+        showNotification({ type: 'error', message: error.message });
+    } finally {
+        showLoadingOverlay(false);
+    }
+}
+
 async function handleSyncGist() {
     const project = getCurrentProject();
     if (!project) {
@@ -360,20 +703,344 @@ async function handleSyncGist() {
         return;
     }
 
+    if (!await ensureVaultUnlocked()) return;
+
     try {
         showLoadingOverlay(true);
-        const result = await syncToGist(project);
+        await waitForAutoSync();
 
-        // Update project with Gist info
-        if (result.gist_id) {
+        // The first sync creates the Gist
+        if (!project.gist_id) {
+            const result = await createGist(project);
             project.gist_id = result.gist_id;
             project.gist_url = result.gist_url;
+            await finishSync(project, result.last_synced);
+            showNotification({
+                type: 'success',
+                message: 'Created new Gist',
+                action: {
+                    label: 'View',
+                    callback: () => window.open(result.gist_url, '_blank')
+                }
+            });
+            return;
+        }
+
+        const remote = await fetchGist(project.gist_id);
+        const base = await getSyncBase(project.id);
+        const action = getSyncAction(project, remote, base);
+
+        if (action === 'up_to_date') {
+            showNotification({ type: 'info', message: 'Already up to date with the Gist' });
+
+        } else if (action === 'push') {
+            const result = await updateGist(project, remote.filename);
+            await finishSync(project, result.last_synced);
+            showNotification({ type: 'success', message: 'Pushed local changes to the Gist' });
+
+        } else if (action === 'pull') {
+            await saveProjectVersion(project, 'Before pulling from Gist');
+            setProjectContent(project, getProjectContent(remote.project));
+            await finishSync(project, remote.updated_at);
+            showNotification({ type: 'success', message: 'Pulled changes from the Gist' });
+
+        } else {
+            const merged = await mergeWithGist(project, remote, base);
+            if (merged) {
+                showNotification({ type: 'success', message: 'Merged changes from both sides and synced' });
+            } else {
+                showNotification({ type: 'info', message: 'Sync cancelled' });
+            }
         }
-        project.last_synced = result.last_synced;
-        await updateProject(project);
 
     } catch (error) {
         console.error('Sync failed:', error);
+        showNotification({ type: 'error', message: error.message });
+    } finally {
+        showLoadingOverlay(false);
+    }
+}
+
+// Merge local and Gist changes, asking about true collisions, then push the result
+// Returns false if the user cancelled
+async function mergeWithGist(project, remote, base) {
+    const localContent = getProjectContent(project);
+    const remoteContent = getProjectContent(remote.project);
+
+    let { merged, conflicts } = mergeProjects(base, localContent, remoteContent);
+
+    if (conflicts.length > 0) {
+        showLoadingOverlay(false);
+        const resolutions = await resolveSyncConflicts(conflicts);
+        if (!resolutions) return false;
+
+        showLoadingOverlay(true);
+        ({ merged } = mergeProjects(base, localContent, remoteContent, resolutions));
+    }
+
+    await saveProjectVersion(project, 'Before merging with Gist');
+    setProjectContent(project, merged);
+    pruneDependencies(project);
+
+    const result = await updateGist(project, remote.filename);
+    await finishSync(project, result.last_synced);
+    return true;
+}
+
+// Record a finished sync and show the synced content
+async function finishSync(project, lastSynced) {
+    project.last_synced = lastSynced;
+    await saveSyncBase(project.id, getProjectContent(project));
+
+    // Record the change for undo, then save right away
+    autoSave();
+    await updateProject(project);
+
+    await loadProjects();
+    document.getElementById('project-dropdown').value = project.id;
+    refreshCurrentProject();
+    await refreshAutoSyncStatus();
+}
+
+// ==================== Auto-Sync ====================
+
+const SYNC_STATUS_LABELS = {
+    synced: '✓ Synced',
+    pending: '● Changes pending',
+    syncing: '⟳ Syncing...',
+    offline: '⚠ Offline',
+    error: '⚠ Sync failed',
+    conflict: '⚠ Needs merge'
+};
+
+// Show the auto-sync state of the current project in the header
+function renderSyncStatus({ state, error }) {
+    const statusEl = document.getElementById('sync-status');
+    statusEl.hidden = state === 'idle';
+    statusEl.className = `sync-status ${state}`;
+    statusEl.textContent = SYNC_STATUS_LABELS[state] || '';
+    statusEl.title = error
+        ? `${error}. Changes are queued and retried automatically. Click to sync now.`
+        : 'Click to sync now';
+}
+
+// The Gist had changes and nothing changed here, so they were pulled in the background
+function handleAutoSyncPulled() {
+    // Record the change for undo
+    autoSave();
+    refreshCurrentProject();
+    showNotification({ type: 'info', message: 'Pulled changes from the Gist', duration: 2000 });
+}
+
+// Both sides changed; merging needs the user to look at conflicts
+function handleAutoSyncConflict(project) {
+    showNotification({
+        type: 'warning',
+        message: `"${project.name}" changed here and in the Gist`,
+        action: {
+            label: 'Sync Now',
+            callback: () => handleSyncGist()
+        }
+    });
+}
+
+// ==================== Passphrase Encryption ====================
+
+// Ask for the passphrase if secrets are needed and the vault is locked
+// Returns false if the vault stays locked
+async function ensureVaultUnlocked() {
+    if (!isVaultLocked()) return true;
+
+    const passphrase = await promptDialog(
+        'Enter your passphrase to unlock your API keys and GitHub token for this session:',
+        '',
+        'Unlock Secrets',
+        'password'
+    );
+    if (!passphrase) return false;
+
+    try {
+        showLoadingOverlay(true);
+        const unlocked = await unlockVault(passphrase);
+        if (!unlocked) {
+            showNotification({ type: 'error', message: 'Wrong passphrase' });
+            return false;
+        }
+
+        await updateAPIKeyStatus();
+        await refreshAutoSyncStatus();
+        return true;
+
+    } finally {
+        showLoadingOverlay(false);
+    }
+}
+
+async function handleVaultButton() {
+    if (isVaultLocked()) {
+        if (await ensureVaultUnlocked()) {
+            showNotification({ type: 'success', message: 'Secrets unlocked for this session' });
+        }
+        return;
+    }
+
+    if (isVaultEnabled()) {
+        lockVault();
+        await updateAPIKeyStatus();
+        showNotification({ type: 'info', message: 'Secrets locked' });
+        return;
+    }
+
+    const passphrase = await promptDialog(
+        'Choose a passphrase (at least 8 characters). It can\'t be recovered; if you forget it, you\'ll have to enter your keys again.',
+        '',
+        'Encrypt Secrets',
+        'password'
+    );
+    if (!passphrase) return;
+
+    if (passphrase.length < 8) {
+        showNotification({ type: 'warning', message: 'The passphrase must be at least 8 characters' });
+        return;
+    }
+
+    const repeated = await promptDialog('Enter the passphrase again:', '', 'Encrypt Secrets', 'password');
+    if (repeated !== passphrase) {
+        showNotification({ type: 'error', message: 'The passphrases don\'t match' });
+        return;
+    }
+
+    try {
+        showLoadingOverlay(true);
+        await enableVault(passphrase);
+        await updateAPIKeyStatus();
+        showNotification({ type: 'success', message: 'API keys and GitHub token are now encrypted' });
+    } catch (error) {
+        console.error('Failed to enable encryption:', error);
+        showNotification({ type: 'error', message: `Failed to enable encryption: ${error.message}` });
+    } finally {
+        showLoadingOverlay(false);
+    }
+}
+
+async function handleDisableVault() {
+    if (!await ensureVaultUnlocked()) return;
+
+    const confirmed = await confirmDialog(
+        'Turn off encryption? Your API keys and GitHub token will be stored without a passphrase.',
+        'Turn Off Encryption'
+    );
+    if (!confirmed) return;
+
+    try {
+        showLoadingOverlay(true);
+        await disableVault();
+        await updateAPIKeyStatus();
+        showNotification({ type: 'success', message: 'Encryption turned off' });
+    } catch (error) {
+        console.error('Failed to turn off encryption:', error);
+        showNotification({ type: 'error', message: `Failed to turn off encryption: ${error.message}` });
+    } finally {
+        showLoadingOverlay(false);
+    }
+}
+
+// ==================== Workspace Backup ====================
+
+async function handlePushWorkspace() {
+    if (!await hasGithubToken()) {
+        showNotification({ type: 'warning', message: 'Add a GitHub token first' });
+        return;
+    }
+
+    if (!await ensureVaultUnlocked()) return;
+
+    try {
+        showLoadingOverlay(true);
+
+        // Don't leave the latest edits waiting for the auto-save
+        const project = getCurrentProject();
+        if (project) await updateProject(project);
+
+        const result = await pushWorkspace();
+        await updateAPIKeyStatus();
+        showNotification({
+            type: 'success',
+            message: `Pushed ${result.projects} project${result.projects === 1 ? '' : 's'} to the workspace Gist`,
+            action: {
+                label: 'View',
+                callback: () => window.open(result.gist_url, '_blank')
+            }
+        });
+
+    } catch (error) {
+        console.error('Workspace push failed:', error);
+        showNotification({ type: 'error', message: error.message });
+    } finally {
+        showLoadingOverlay(false);
+    }
+}
+
+async function handleRestoreWorkspace() {
+    if (!await ensureVaultUnlocked()) return;
+
+    const input = await promptDialog(
+        'Paste the workspace Gist URL or ID:',
+        await getWorkspaceGistId() || '',
+        'Restore Workspace'
+    );
+    if (!input) return;
+
+    const gistId = parseGistReference(input);
+    if (!gistId) {
+        showNotification({ type: 'error', message: 'That doesn\'t look like a Gist URL or ID' });
+        return;
+    }
+
+    try {
+        showLoadingOverlay(true);
+        const workspace = await fetchWorkspace(gistId);
+        const existing = await getExistingProjectIds(workspace);
+        showLoadingOverlay(false);
+
+        const count = workspace.projects.length;
+        let message = `Restore ${count} project${count === 1 ? '' : 's'} and your settings from the workspace saved ${formatDate(workspace.exported)}?`;
+        if (existing.length > 0) {
+            message += ` ${existing.length} of them already exist here and will be replaced; a snapshot of each is saved first.`;
+        }
+
+        const confirmed = await confirmDialog(message, 'Restore Workspace');
+        if (!confirmed) return;
+
+        showLoadingOverlay(true);
+        const result = await applyWorkspace(workspace);
+
+        // Reopen so the current project and settings reflect what was restored
+        await loadProjects();
+        const current = getCurrentProject();
+        const projectId = current?.id || await getSetting('last_project_id') || workspace.projects[0]?.id;
+        if (projectId) {
+            await openProject(projectId);
+        }
+        setDependencyOverlay(!!await getSetting('show_dependency_overlay'));
+        document.getElementById('dependency-overlay-btn').classList.toggle('active', isDependencyOverlayEnabled());
+        await updateAPIKeyStatus();
+
+        showNotification({
+            type: 'success',
+            message: `Restored workspace: ${result.added} added, ${result.replaced} replaced`
+        });
+
+        if (workspace.missing.length > 0) {
+            showNotification({
+                type: 'warning',
+                message: `Couldn't read ${workspace.missing.length} project(s): ${workspace.missing.join(', ')}`
+            });
+        }
+
+    } catch (error) {
+        console.error('Workspace restore failed:', error);
+        showNotification({ type: 'error', message: error.message });
     } finally {
         showLoadingOverlay(false);
     }
@@ -383,6 +1050,52 @@ async function handleSyncGist() {
 
 function openSettings() {
     document.getElementById('settings-modal').classList.add('show');
+    refreshGithubAccount();
+}
+
+// Look up the account of a token saved before account details were kept
+async function refreshGithubAccount() {
+    if (!await hasGithubToken() || await getGithubAccount() || isVaultLocked()) return;
+
+    try {
+        await checkGithubToken();
+        await updateAPIKeyStatus();
+    } catch (error) {
+        console.warn('Failed to look up the GitHub account:', error);
+    }
+}
+
+// e.g. "Signed in as octocat with the gist, repo scopes. Expires Nov 1, 2026."
+function describeGithubAccount(account) {
+    const scopes = account.scopes
+        ? ` with the ${account.scopes.join(', ')} scope${account.scopes.length === 1 ? '' : 's'}`
+        : ' with a fine-grained token';
+    const expiry = !account.expires_at ? 'The token does not expire.'
+        : account.expires_at < Date.now() ? `The token expired ${formatDate(account.expires_at)}.`
+        : `The token expires ${formatDate(account.expires_at)}.`;
+
+    return `Signed in as ${account.login}${scopes}. ${expiry}`;
+}
+
+// Warn a week before the GitHub token expires, so syncing doesn't stop unexpectedly
+async function warnIfGithubTokenExpiring() {
+    const account = await getGithubAccount();
+    if (!account?.expires_at || !await hasGithubToken()) return;
+
+    const daysLeft = Math.ceil((account.expires_at - Date.now()) / (24 * 60 * 60 * 1000));
+    if (daysLeft > 7) return;
+
+    showNotification({
+        type: 'warning',
+        message: daysLeft > 0
+            ? `Your GitHub token expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`
+            : 'Your GitHub token has expired',
+        duration: 8000,
+        action: {
+            label: 'Settings',
+            callback: () => openSettings()
+        }
+    });
 }
 
 function closeSettings() {
@@ -395,41 +1108,92 @@ async function saveSettings() {
     showNotification({ type: 'success', message: 'Settings saved' });
 }
 
+// Render one settings row per AI provider
+function renderAPIKeyRows() {
+    document.getElementById('api-key-rows').innerHTML = getAvailableModels().map(model => `
+        <div class="api-key-row">
+            <span class="api-key-name">${model.label}</span>
+            <span id="${model.id}-status" class="api-key-status not-set">Not set</span>
+            <button class="btn btn-small add-api-key-btn" data-model="${model.id}"
+                    ${model.configurable ? 'data-configurable="true"' : ''}>
+                ${model.configurable ? 'Configure' : 'Add'}
+            </button>
+        </div>
+    `).join('');
+}
+
 async function updateAPIKeyStatus() {
     const models = getAvailableModels();
 
     for (const model of models) {
-        const hasKey = await hasAPIKey(model.id);
+        const configured = await isProviderConfigured(model.id);
         const statusEl = document.getElementById(`${model.id}-status`);
         const btnEl = document.querySelector(`.add-api-key-btn[data-model="${model.id}"]`);
 
         if (statusEl) {
-            statusEl.textContent = hasKey ? '✓ Connected' : 'Not set';
-            statusEl.className = `api-key-status ${hasKey ? 'connected' : 'not-set'}`;
+            statusEl.textContent = configured ? '✓ Connected' : 'Not set';
+            statusEl.className = `api-key-status ${configured ? 'connected' : 'not-set'}`;
         }
 
-        if (btnEl) {
-            btnEl.textContent = hasKey ? 'Change' : 'Add';
+        if (btnEl && !model.configurable) {
+            btnEl.textContent = configured ? 'Change' : 'Add';
         }
     }
 
     // GitHub token status
     const hasGithub = await hasGithubToken();
+    const account = hasGithub ? await getGithubAccount() : null;
+    const expired = !!account?.expires_at && account.expires_at < Date.now();
     const githubStatus = document.getElementById('github-status');
     const githubBtn = document.getElementById('add-github-token-btn');
 
     if (githubStatus) {
-        githubStatus.textContent = hasGithub ? '✓ Connected' : 'Not set';
-        githubStatus.className = `api-key-status ${hasGithub ? 'connected' : 'not-set'}`;
+        githubStatus.textContent = !hasGithub ? 'Not set'
+            : expired ? 'Expired'
+            : account ? `✓ ${account.login}` : '✓ Connected';
+        githubStatus.className = `api-key-status ${hasGithub && !expired ? 'connected' : 'not-set'}`;
+    }
+
+    const accountEl = document.getElementById('github-account');
+    if (accountEl) {
+        accountEl.hidden = !account;
+        accountEl.textContent = account ? describeGithubAccount(account) : '';
     }
 
     if (githubBtn) {
         githubBtn.textContent = hasGithub ? 'Change' : 'Add';
     }
+
+    // Passphrase encryption status
+    const vaultStatus = document.getElementById('vault-status');
+    const vaultBtn = document.getElementById('vault-btn');
+
+    if (vaultStatus) {
+        const state = !isVaultEnabled() ? 'Off' : isVaultLocked() ? 'Locked' : '✓ Unlocked';
+        vaultStatus.textContent = state;
+        vaultStatus.className = `api-key-status ${isVaultEnabled() && !isVaultLocked() ? 'connected' : 'not-set'}`;
+    }
+
+    if (vaultBtn) {
+        vaultBtn.textContent = !isVaultEnabled() ? 'Enable' : isVaultLocked() ? 'Unlock' : 'Lock';
+        document.getElementById('vault-disable-btn').hidden = !isVaultEnabled();
+    }
+
+    // Workspace Gist status
+    const workspaceGistId = await getWorkspaceGistId();
+    const workspaceStatus = document.getElementById('workspace-status');
+
+    if (workspaceStatus) {
+        workspaceStatus.textContent = workspaceGistId ? '✓ Linked' : 'Not set';
+        workspaceStatus.className = `api-key-status ${workspaceGistId ? 'connected' : 'not-set'}`;
+        workspaceStatus.title = workspaceGistId || '';
+    }
 }
 
 async function addAPIKey(model) {
-    const modelName = model.charAt(0).toUpperCase() + model.slice(1);
+    if (!await ensureVaultUnlocked()) return;
+
+    const modelName = getAvailableModels().find(m => m.id === model)?.name || model;
     const key = await promptDialog(
         `Enter your ${modelName} API key:`,
         '',
@@ -479,11 +1243,74 @@ async function addAPIKey(model) {
     }
 }
 
+// Configure an OpenAI-compatible endpoint (llama.cpp, Ollama, LM Studio, ...)
+async function configureProvider(model) {
+    if (!await ensureVaultUnlocked()) return;
+
+    const current = await getProviderSettings(model);
+
+    const baseUrl = await promptDialog(
+        'Base URL of the OpenAI-compatible API (e.g. http://localhost:11434/v1):',
+        current.base_url || 'http://localhost:8080/v1',
+        'Endpoint URL'
+    );
+    if (!baseUrl || !baseUrl.trim()) return;
+
+    const modelName = await promptDialog(
+        'Model name to request (e.g. llama3.1):',
+        current.model || '',
+        'Model'
+    );
+    if (!modelName || !modelName.trim()) return;
+
+    // Optional - most local servers don't need a key
+    const key = await promptDialog(
+        'API key (leave empty if the server does not need one):',
+        '',
+        'API Key'
+    );
+    const trimmedKey = (key || '').trim();
+
+    const settings = { base_url: baseUrl.trim(), model: modelName.trim() };
+
+    try {
+        showLoadingOverlay(true);
+        const isValid = await validateAPIKey(model, trimmedKey, settings);
+        showLoadingOverlay(false);
+
+        if (!isValid) {
+            const saveAnyway = await confirmDialog(
+                `Could not reach ${settings.base_url}. Check the server is running and allows CORS.\n\nSave these settings anyway?`,
+                'Endpoint Unreachable'
+            );
+            if (!saveAnyway) return;
+        }
+
+        await saveProviderSettings(model, settings);
+        if (trimmedKey) {
+            await saveAPIKey(model, trimmedKey);
+        } else {
+            await deleteAPIKey(model);
+        }
+        await updateAPIKeyStatus();
+        showNotification({ type: 'success', message: 'Endpoint settings saved' });
+
+    } catch (error) {
+        console.error('Error configuring endpoint:', error);
+        showNotification({ type: 'error', message: `Failed to save endpoint: ${error.message}` });
+    } finally {
+        showLoadingOverlay(false);
+    }
+}
+
 async function addGithubToken() {
+    if (!await ensureVaultUnlocked()) return;
+
     const token = await promptDialog(
         'Enter your GitHub Personal Access Token:\n(Needs "gist" scope)',
         '',
-        'GitHub Token'
+        'GitHub Token',
+        'password'
     );
 
     if (!token) return;
@@ -491,14 +1318,16 @@ async function addGithubToken() {
     try {
         showLoadingOverlay(true);
 
-        const isValid = await validateGithubToken(token);
+        const trimmedToken = token.trim();
+        const result = await validateGithubToken(trimmedToken);
 
-        if (isValid) {
-            await saveGithubToken(token);
+        if (result.valid) {
+            await saveGithubToken(trimmedToken);
+            await saveGithubAccount(result);
             await updateAPIKeyStatus();
-            showNotification({ type: 'success', message: 'GitHub token saved' });
+            showNotification({ type: 'success', message: `GitHub token saved for ${result.login}` });
         } else {
-            showNotification({ type: 'error', message: 'Invalid GitHub token' });
+            showNotification({ type: 'error', message: result.error, duration: 6000 });
         }
 
     } catch (error) {
@@ -517,6 +1346,9 @@ function setupAIPanel() {
     selector.innerHTML = models.map(m =>
         `<option value="${m.id}">${m.name}</option>`
     ).join('');
+
+    onSelectionChange(updateAISelectionDisplay);
+    updateAISelectionDisplay();
 }
 
 async function handleModelChange(e) {
@@ -556,51 +1388,78 @@ async function handleAIGenerate() {
     const model = document.getElementById('ai-model-selector').value;
     console.log('[App] Selected model:', model);
 
-    const hasKey = await hasAPIKey(model);
-    console.log('[App] Has API key:', hasKey);
+    const configured = await isProviderConfigured(model);
+    console.log('[App] Provider configured:', configured);
 
-    if (!hasKey) {
+    if (!configured) {
+        const modelInfo = getAvailableModels().find(m => m.id === model);
         showNotification({
             type: 'warning',
-            message: `API key required for ${model}. Please add it in Settings.`,
+            message: modelInfo?.configurable
+                ? `${modelInfo.label} needs to be configured in Settings.`
+                : `API key required for ${modelInfo?.name || model}. Please add it in Settings.`,
             action: {
-                label: 'Add Key',
+                label: 'Settings',
                 callback: () => openSettings()
             }
         });
         return;
     }
 
+    if (!await ensureVaultUnlocked()) return;
+
     // Get selected mode
     const modeBtn = document.querySelector('.ai-mode-btn.active');
     const mode = modeBtn ? modeBtn.dataset.mode : 'full_project';
     console.log('[App] AI Mode:', mode);
 
+    // Scoped modes work on the phase or feature selected on the canvas
+    const scope = getAIScope(project, mode);
+    if (mode !== 'full_project' && !scope) {
+        showNotification({
+            type: 'warning',
+            message: mode === 'phase_level'
+                ? 'Select a phase (or one of its features) on the canvas first'
+                : 'Select a feature on the canvas first'
+        });
+        return;
+    }
+
     try {
         console.log('[App] Starting AI generation...');
-        showLoadingOverlay(true);
+        showAIStreamStatus('Waiting for response...');
         document.getElementById('ai-generate-btn').disabled = true;
         document.getElementById('ai-generate-btn').textContent = 'Generating...';
 
         // Build context
-        const context = buildAIContext(project, mode);
+        const selectedItem = mode === 'phase_level' ? scope.phase : scope?.feature;
+        const context = buildAIContext(project, mode, selectedItem);
         console.log('[App] AI Context built:', {
             mode: context.mode,
             projectGoal: context.projectGoal,
             phasesCount: context.currentStructure?.length || 0,
+            selectedItem: selectedItem?.name || null,
             keepItems: context.constraints.keepItems.length,
             discardItems: context.constraints.discardItems.length
         });
 
         // Call AI
         console.log('[App] Calling AI...');
-        const result = await callAI(model, prompt, context);
+        const result = await callAI(model, prompt, context, { onProgress: handleAIProgress });
         console.log('[App] AI Response received:', {
             success: result.success,
             error: result.error || null,
             phasesCount: result.data?.phases?.length || 0
         });
 
+        clearAIPreview();
+        showAIStreamStatus(null);
+
+        if (result.cancelled) {
+            showNotification({ type: 'info', message: 'AI generation cancelled' });
+            return;
+        }
+
         if (result.success) {
             // Validate the response has content
             if (!result.data.phases || result.data.phases.length === 0) {
@@ -612,28 +1471,44 @@ async function handleAIGenerate() {
                 return;
             }
 
-            // Merge AI response with project
-            console.log('[App] Merging AI response...');
-            const newPhases = mergeAIResponse(result.data, project, context.constraints);
-            console.log('[App] Merged phases count:', newPhases.length);
+            // Tell the user the plan isn't exactly what the AI returned
+            if (result.repairs?.length > 0) {
+                console.warn('[App] AI plan was repaired:', result.repairs);
+                const shown = result.repairs.slice(0, 2).join('; ');
+                const more = result.repairs.length > 2 ? ` (+${result.repairs.length - 2} more)` : '';
+                showNotification({
+                    type: 'warning',
+                    message: `The AI output had problems and was repaired: ${shown}${more}`,
+                    duration: 6000
+                });
+            }
 
-            // Apply to project
-            console.log('[App] Applying AI response to project...');
-            applyAIResponse(project, newPhases);
-            console.log('[App] Project now has', project.phases.length, 'phases');
+            // Let the user review the plan before anything is replaced
+            let message = null;
+
+            if (mode === 'phase_level') {
+                message = await reviewPhasePlan(project, scope.phase, result.data);
+            } else if (mode === 'feature_level') {
+                message = await reviewFeaturePlan(project, scope, result.data);
+            } else {
+                message = await reviewFullPlan(project, result.data, context);
+            }
+
+            if (!message) {
+                console.log('[App] AI plan discarded by user');
+                showNotification({ type: 'info', message: 'AI plan discarded' });
+                return;
+            }
 
             // Re-render
             console.log('[App] Rendering project...');
-            renderProject(project);
+            renderCurrentView(project);
             autoSave();
 
             // Clear prompt
             document.getElementById('ai-prompt-input').value = '';
 
-            showNotification({
-                type: 'success',
-                message: `Plan generated successfully! Created ${project.phases.length} phases.`
-            });
+            showNotification({ type: 'success', message });
 
         } else {
             console.error('[App] AI generation failed:', result.error);
@@ -653,23 +1528,214 @@ async function handleAIGenerate() {
             duration: 6000
         });
     } finally {
-        showLoadingOverlay(false);
+        clearAIPreview();
+        showAIStreamStatus(null);
         document.getElementById('ai-generate-btn').disabled = false;
         document.getElementById('ai-generate-btn').textContent = 'Generate';
         console.log('[App] AI generation process completed');
     }
 }
 
-function applyAIResponse(project, newPhases) {
+// Show the plan on the canvas as it streams in
+function handleAIProgress({ text, data, attempt }) {
+    const phases = Array.isArray(data?.phases) ? data.phases : [];
+    const featureCount = phases.reduce((sum, phase) =>
+        sum + (Array.isArray(phase?.features) ? phase.features.length : 0), 0);
+
+    // The second attempt is the AI fixing its own invalid output
+    const prefix = attempt > 1 ? 'Fixing invalid output' : 'Receiving plan';
+    showAIStreamStatus(phases.length > 0
+        ? `${prefix}: ${phases.length} phases, ${featureCount} features`
+        : `${prefix} (${text.length} characters)...`);
+    renderAIPreview(phases);
+}
+
+// Show the AI status bar with a message, or hide it with null
+function showAIStreamStatus(message) {
+    const status = document.getElementById('ai-stream-status');
+    status.classList.toggle('show', message !== null);
+    if (message !== null) {
+        status.querySelector('.ai-stream-text').textContent = message;
+    }
+}
+
+// Resolve the canvas selection for an AI mode: { phase, feature } or null
+function getAIScope(project, mode) {
+    const selection = getSelectedItem();
+    if (mode === 'full_project' || !selection) return null;
+
+    if (selection.type === 'feature') {
+        const result = findFeature(project, selection.id);
+        return result ? { phase: result.phase, feature: result.feature } : null;
+    }
+
+    // A phase on its own is only enough for phase-level work
+    const phase = findPhase(project, selection.id);
+    return phase && mode === 'phase_level' ? { phase, feature: null } : null;
+}
+
+// Show what the selected AI mode will work on
+function updateAISelectionDisplay() {
+    const display = document.getElementById('ai-selection');
+    if (!display) return;
+
+    const project = getCurrentProject();
+    const modeBtn = document.querySelector('.ai-mode-btn.active');
+    const mode = modeBtn ? modeBtn.dataset.mode : 'full_project';
+
+    if (mode === 'full_project') {
+        display.textContent = 'Working on the whole project';
+        display.classList.remove('missing');
+        return;
+    }
+
+    const scope = project ? getAIScope(project, mode) : null;
+    if (!scope) {
+        display.textContent = mode === 'phase_level'
+            ? 'Click a phase on the canvas to work on it'
+            : 'Click a feature on the canvas to refine it';
+        display.classList.add('missing');
+        return;
+    }
+
+    display.textContent = mode === 'phase_level'
+        ? `Phase: ${scope.phase.name}`
+        : `Feature: ${scope.feature.name}`;
+    display.classList.remove('missing');
+}
+
+// Review and apply a full project plan
+// Returns a success message, or null if the plan was discarded
+async function reviewFullPlan(project, data, context) {
+    // Merge AI response with project
+    console.log('[App] Merging AI response...');
+    const newPhases = mergeAIResponse(data, project, context.constraints);
+    console.log('[App] Merged phases count:', newPhases.length);
+
+    const review = await reviewAIPlan({
+        currentPhases: project.phases,
+        proposedPhases: newPhases
+    });
+    if (!review) return null;
+
+    // Snapshot the current plan so the regeneration can be reverted
+    await saveProjectVersion(project, 'Before AI regeneration');
+
+    console.log('[App] Applying accepted AI plan to project...');
+    const pending = applyAIResponse(project, review.phases, review.keepFeatureIds);
+    pruneDependencies(project);
+    linkAIDependencies(project, pending);
+    console.log('[App] Project now has', project.phases.length, 'phases');
+
+    return `Plan applied! The project now has ${project.phases.length} phases.`;
+}
+
+// Review and apply new features for one phase
+async function reviewPhasePlan(project, phase, data) {
+    // The AI may split its answer over several phases; they all belong to this one
+    const proposedFeatures = data.phases.flatMap(p => p.features || []);
+
+    const review = await reviewAIPlan({
+        title: `Review Features for "${sanitizeHTML(phase.name)}"`,
+        currentPhases: [phase],
+        proposedPhases: [{ name: phase.name, description: phase.description, features: proposedFeatures }],
+        applyModes: [
+            { value: 'replace', label: 'Replace unkept features' },
+            { value: 'extend', label: 'Add to existing features' }
+        ]
+    });
+    if (!review || review.phases.length === 0) return null;
+
+    await saveProjectVersion(project, `Before AI update of "${phase.name}"`);
+    const { added, pending } = applyPhaseResponse(phase, review.phases[0].features, review.applyMode, review.keepFeatureIds);
+    pruneDependencies(project);
+    linkAIDependencies(project, pending);
+
+    return `Updated "${phase.name}" with ${added} new features.`;
+}
+
+// Review and apply a refined description and subtasks for one feature
+async function reviewFeaturePlan(project, { phase, feature }, data) {
+    const proposed = data.phases.flatMap(p => p.features || [])[0];
+    if (!proposed) {
+        showNotification({ type: 'warning', message: 'AI did not return a refined feature.' });
+        return null;
+    }
+
+    const review = await reviewAIPlan({
+        title: `Review Refinement of "${sanitizeHTML(feature.name)}"`,
+        currentPhases: [{ name: phase.name, features: [feature] }],
+        proposedPhases: [{ name: phase.name, features: [{ ...proposed, name: feature.name }] }],
+        allowKeep: false,
+        applyModes: [
+            { value: 'replace', label: 'Replace subtasks' },
+            { value: 'extend', label: 'Add to existing subtasks' }
+        ]
+    });
+
+    const accepted = review?.phases[0]?.features[0];
+    if (!accepted) return null;
+
+    await saveProjectVersion(project, `Before AI refinement of "${feature.name}"`);
+    linkAIDependencies(project, applyFeatureResponse(feature, accepted, review.applyMode));
+
+    return `Refined "${feature.name}".`;
+}
+
+// Build a feature object from AI output
+function createFeatureFromAI(featureData, phaseId) {
+    const feature = {
+        id: generateId(),
+        phase_id: phaseId,
+        name: featureData.name,
+        description: featureData.description || '',
+        status: 'not_started',
+        ai_generated: true,
+        marked_as: 'none',
+        priority: null,
+        tags: [],
+        assignees: [],
+        start_date: null,
+        due_date: null,
+        estimate_days: null,
+        collapsed: true,
+        position: { x: 0, y: 0 },
+        dependencies: [],
+        subtasks: []
+    };
+
+    feature.subtasks = (featureData.suggested_subtasks || []).map(desc => createSubtaskFromAI(desc, feature.id));
+    return feature;
+}
+
+function createSubtaskFromAI(description, featureId) {
+    return {
+        id: generateId(),
+        feature_id: featureId,
+        description,
+        completed: false,
+        ai_generated: true,
+        priority: null,
+        tags: [],
+        assignees: []
+    };
+}
+
+// Returns the AI's dependency references still to be linked (see linkAIDependencies)
+function applyAIResponse(project, newPhases, keepFeatureIds = []) {
     // For full regeneration, replace all phases
-    // But preserve manually added items that aren't marked as discard
+    // But preserve features marked as keep or kept during review
 
     const preservedFeatures = [];
+    const pending = [];
+
+    // Features the AI proposes again keep the team's labels
+    const previous = new Map(project.phases.flatMap(p => p.features).map(f => [f.name.toLowerCase(), f]));
 
     // Collect features to preserve
     for (const phase of project.phases) {
         for (const feature of phase.features) {
-            if (feature.marked_as === 'keep') {
+            if (feature.marked_as === 'keep' || keepFeatureIds.includes(feature.id)) {
                 preservedFeatures.push({
                     ...feature,
                     originalPhase: phase.name
@@ -686,33 +1752,20 @@ function applyAIResponse(project, newPhases) {
             name: phaseData.name,
             description: phaseData.description || '',
             order: index,
+            start_date: null,
+            due_date: null,
+            estimate_days: null,
             collapsed: false,
             position: { x: index * 360 + 40, y: 100 },
-            features: (phaseData.features || []).map(featureData => ({
-                id: generateId(),
-                phase_id: null, // Will be set after
-                name: featureData.name,
-                description: featureData.description || '',
-                status: 'not_started',
-                ai_generated: true,
-                marked_as: 'none',
-                collapsed: true,
-                position: { x: 0, y: 0 },
-                dependencies: [],
-                subtasks: (featureData.suggested_subtasks || []).map(desc => ({
-                    id: generateId(),
-                    feature_id: null,
-                    description: desc,
-                    completed: false,
-                    ai_generated: true
-                }))
-            }))
+            features: []
         };
 
-        // Set phase_id for features and feature_id for subtasks
-        phase.features.forEach(f => {
-            f.phase_id = phase.id;
-            f.subtasks.forEach(s => s.feature_id = f.id);
+        phase.features = (phaseData.features || []).map(featureData => {
+            const feature = createFeatureFromAI(featureData, phase.id);
+            const match = previous.get(feature.name.toLowerCase());
+            if (match) carryOverLabels(match, feature);
+            pending.push({ feature, references: featureData.dependencies || [] });
+            return feature;
         });
 
         return phase;
@@ -733,6 +1786,109 @@ function applyAIResponse(project, newPhases) {
             targetPhase.features.unshift(feature);
         }
     }
+
+    return pending;
+}
+
+// Replace or extend a phase's features with AI output
+// Returns { added, pending }: the number of features added and the AI's
+// dependency references still to be linked
+function applyPhaseResponse(phase, featuresData, applyMode, keepFeatureIds = []) {
+    if (applyMode === 'replace') {
+        // Features the AI proposed again keep their progress and links
+        const proposedNames = new Set(featuresData.map(f => f.name.toLowerCase()));
+        phase.features = phase.features.filter(f =>
+            f.marked_as === 'keep' || keepFeatureIds.includes(f.id) || proposedNames.has(f.name.toLowerCase())
+        );
+    }
+
+    // Don't duplicate features that are still there, but do take their suggested links
+    const existing = new Map(phase.features.map(f => [f.name.toLowerCase(), f]));
+    const pending = [];
+    let added = 0;
+
+    for (const featureData of featuresData) {
+        let feature = existing.get(featureData.name.toLowerCase());
+        if (!feature) {
+            feature = createFeatureFromAI(featureData, phase.id);
+            phase.features.push(feature);
+            added++;
+        }
+        pending.push({ feature, references: featureData.dependencies || [] });
+    }
+
+    return { added, pending };
+}
+
+// Update a feature's description and subtasks from AI output
+function applyFeatureResponse(feature, featureData, applyMode) {
+    if (featureData.description) {
+        feature.description = featureData.description;
+    }
+
+    const subtasks = featureData.suggested_subtasks || [];
+
+    if (applyMode === 'replace') {
+        const previous = { ...feature, subtasks: feature.subtasks };
+        feature.subtasks = subtasks.map(desc => createSubtaskFromAI(desc, feature.id));
+        carryOverLabels(previous, feature);
+    } else {
+        const existing = new Set(feature.subtasks.map(s => s.description.toLowerCase()));
+        subtasks
+            .filter(desc => !existing.has(desc.toLowerCase()))
+            .forEach(desc => feature.subtasks.push(createSubtaskFromAI(desc, feature.id)));
+    }
+
+    // New open subtasks mean the feature is no longer complete
+    if (isDoneStatus(getCurrentProject(), feature.status) && feature.subtasks.some(s => !s.completed)) {
+        feature.status = 'in_progress';
+    }
+
+    return [{ feature, references: featureData.dependencies || [] }];
+}
+
+// Store the dependency names the AI suggested as real feature dependencies
+// pending is a list of { feature, references }; references that can't be
+// matched to a feature (or would create a cycle) are reported to the user
+function linkAIDependencies(project, pending) {
+    const allFeatures = project.phases.flatMap(p => p.features);
+    const unresolved = [];
+    let linked = 0;
+
+    for (const { feature, references } of pending) {
+        for (const reference of references) {
+            const candidates = allFeatures.filter(f => f.id !== feature.id);
+            const target = resolveFeatureReference(reference, candidates);
+
+            if (!target) {
+                unresolved.push(`"${feature.name}" → "${reference}": no matching feature`);
+                continue;
+            }
+            if (feature.dependencies.includes(target.id)) continue;
+
+            const result = addDependency(project, feature.id, target.id);
+            if (result.success) {
+                linked++;
+            } else {
+                unresolved.push(`"${feature.name}" → "${reference}": ${result.error}`);
+            }
+        }
+    }
+
+    console.log(`[App] Linked ${linked} AI-suggested dependencies`);
+
+    if (unresolved.length > 0) {
+        console.warn('[App] Unresolved AI dependencies:', unresolved);
+        const shown = unresolved.slice(0, 3).join('; ');
+        const more = unresolved.length > 3 ? ` (+${unresolved.length - 3} more, see console)` : '';
+        showNotification({
+            type: 'warning',
+            message: `${unresolved.length} suggested dependencies could not be linked: ${shown}${more}`,
+            duration: 8000
+        });
+    }
+
+    return unresolved;
 }
 
 // ==================== UI Helpers ====================
@@ -0,0 +1,279 @@
+/**
+ * Gist Auto-Sync Module
+ * Pushes linked projects to their Gist in the background after saves,
+ * checks the Gist for changes on a schedule and retries failed pushes
+ */
+
+import {
+    getSetting,
+    setSetting,
+    getProject,
+    updateProject,
+    getCurrentProject,
+    onProjectSaved,
+    getProjectContent,
+    setProjectContent,
+    saveProjectVersion
+} from './storage.js';
+import {
+    fetchGist,
+    updateGist,
+    getSyncBase,
+    saveSyncBase,
+    getSyncAction,
+    hasGithubToken,
+    hasUnsyncedChanges,
+    getRateLimit
+} from './gist.js';
+import { isVaultLocked } from './vault.js';
+
+const PUSH_DELAY = 10000;             // Let a burst of edits settle before pushing
+const MIN_PUSH_INTERVAL = 30000;      // At most one push every 30 seconds
+const CHECK_INTERVAL = 5 * 60 * 1000; // Look for changes made elsewhere every 5 minutes
+const MAX_RETRY_DELAY = CHECK_INTERVAL;
+const RATE_LIMIT_RESERVE = 20;        // Requests left for manual syncs and imports
+
+let enabled = false;
+let hooks = {};
+let queue = [];                 // IDs of projects with changes waiting to be pushed
+let timer = null;
+let running = null;
+let lastPushAt = 0;
+let retryDelay = PUSH_DELAY;
+const conflicted = new Set();   // Projects waiting for a manual sync to merge
+
+// Start auto-sync
+// hooks: onStatusChange(status), onPulled(project) after Gist changes were pulled
+// into the current project, onConflict(project) when both sides changed
+export async function initAutoSync(callbacks = {}) {
+    hooks = callbacks;
+    enabled = !!await getSetting('gist_auto_sync');
+    queue = await getSetting('gist_sync_queue') || [];
+
+    onProjectSaved((project) => {
+        if (enabled && project.gist_id) {
+            queueProject(project.id);
+        }
+    });
+
+    window.addEventListener('online', () => {
+        retryDelay = PUSH_DELAY;
+        runSync();
+    });
+    window.addEventListener('offline', () => refreshAutoSyncStatus());
+
+    setInterval(() => runSync({ checkRemote: true }), CHECK_INTERVAL);
+
+    await refreshAutoSyncStatus();
+    if (enabled) {
+        runSync({ checkRemote: true });
+    }
+}
+
+export function isAutoSyncEnabled() {
+    return enabled;
+}
+
+export async function setAutoSyncEnabled(value) {
+    enabled = value;
+    await setSetting('gist_auto_sync', value);
+    await refreshAutoSyncStatus();
+
+    if (enabled) {
+        runSync({ checkRemote: true });
+    } else {
+        clearTimeout(timer);
+    }
+}
+
+// Wait for a background sync in progress, e.g. before a manual sync
+export async function waitForAutoSync() {
+    if (running) {
+        await running.catch(() => {});
+    }
+}
+
+// Work out the status of the current project, e.g. after opening it or a manual sync
+export async function refreshAutoSyncStatus() {
+    const project = getCurrentProject();
+
+    if (!enabled || !project?.gist_id) {
+        setStatus('idle');
+    } else if (!navigator.onLine) {
+        setStatus('offline');
+    } else if (queue.includes(project.id) || await hasUnsyncedChanges(project)) {
+        setStatus('pending');
+    } else {
+        conflicted.delete(project.id);
+        setStatus('synced');
+    }
+}
+
+// ==================== Queue ====================
+
+// Remember a project needs pushing and schedule the push
+async function queueProject(projectId) {
+    await enqueueProject(projectId);
+
+    if (getCurrentProject()?.id === projectId) {
+        setStatus(navigator.onLine ? 'pending' : 'offline');
+    }
+
+    schedule(PUSH_DELAY);
+}
+
+async function enqueueProject(projectId) {
+    if (!queue.includes(projectId)) {
+        queue.push(projectId);
+        await saveQueue();
+    }
+}
+
+async function dequeueProject(projectId) {
+    if (queue.includes(projectId)) {
+        queue = queue.filter(id => id !== projectId);
+        await saveQueue();
+    }
+}
+
+async function saveQueue() {
+    await setSetting('gist_sync_queue', queue);
+}
+
+function schedule(delay) {
+    const untilNextPush = lastPushAt + MIN_PUSH_INTERVAL - Date.now();
+
+    clearTimeout(timer);
+    timer = setTimeout(() => runSync(), Math.max(delay, untilNextPush));
+}
+
+// ==================== Syncing ====================
+
+// Sync the queued projects, and with checkRemote also the current one
+async function runSync({ checkRemote = false } = {}) {
+    if (!enabled) return;
+
+    // Try again once the sync in progress is done
+    if (running) {
+        schedule(PUSH_DELAY);
+        return;
+    }
+
+    if (!navigator.onLine) {
+        await refreshAutoSyncStatus();
+        return;
+    }
+
+    // Secrets are locked; saves keep the project queued until they are unlocked
+    if (!await hasGithubToken() || isVaultLocked()) return;
+
+    // Keep some of the hourly allowance for things the user asks for
+    const { remaining, resetAt } = getRateLimit();
+    if (remaining !== null && remaining <= RATE_LIMIT_RESERVE && resetAt > Date.now()) {
+        console.warn('[AutoSync] Near the GitHub rate limit, waiting until', new Date(resetAt).toLocaleTimeString());
+        schedule(resetAt - Date.now());
+        return;
+    }
+
+    running = syncQueue(checkRemote);
+    try {
+        await running;
+    } finally {
+        running = null;
+    }
+}
+
+async function syncQueue(checkRemote) {
+    const current = getCurrentProject();
+    const projectIds = [...queue];
+    if (checkRemote && current?.gist_id && !projectIds.includes(current.id)) {
+        projectIds.push(current.id);
+    }
+
+    let failed = false;
+
+    for (const projectId of projectIds) {
+        const isCurrent = getCurrentProject()?.id === projectId;
+
+        // Saves during the sync queue the project again
+        await dequeueProject(projectId);
+
+        try {
+            const project = isCurrent ? getCurrentProject() : await getProject(projectId);
+            if (!project?.gist_id) continue;
+
+            if (isCurrent) setStatus('syncing');
+            const state = await syncProject(project, { isCurrent, checkRemote });
+
+            if (state === 'conflict' && !conflicted.has(projectId)) {
+                conflicted.add(projectId);
+                if (hooks.onConflict) hooks.onConflict(project);
+            } else if (state !== 'conflict') {
+                conflicted.delete(projectId);
+            }
+
+            if (isCurrent) {
+                setStatus(queue.includes(projectId) ? 'pending' : state);
+            }
+
+        } catch (error) {
+            console.error('[AutoSync] Sync failed:', error);
+            await enqueueProject(projectId);
+            failed = true;
+            if (isCurrent) {
+                setStatus(navigator.onLine ? 'error' : 'offline', error.message);
+            }
+        }
+    }
+
+    // Failed projects stay queued; back off until the next scheduled check
+    if (failed) {
+        schedule(retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+    } else {
+        retryDelay = PUSH_DELAY;
+    }
+}
+
+// Push or pull one project if only one side changed
+// Returns the resulting state: 'synced' or 'conflict'
+async function syncProject(project, { isCurrent, checkRemote }) {
+    const base = await getSyncBase(project.id);
+
+    // Nothing to push, and no need to look at the Gist
+    if (!checkRemote && !await hasUnsyncedChanges(project)) {
+        return 'synced';
+    }
+
+    const remote = await fetchGist(project.gist_id);
+    const action = getSyncAction(project, remote, base);
+
+    if (action === 'push') {
+        // Edits made while the request is in flight are pushed next time
+        const content = getProjectContent(project);
+        const result = await updateGist(project, remote.filename);
+        lastPushAt = Date.now();
+        await recordSync(project, content, result.last_synced);
+
+    } else if (action === 'pull') {
+        await saveProjectVersion(project, 'Before pulling from Gist');
+        setProjectContent(project, getProjectContent(remote.project));
+        await recordSync(project, getProjectContent(project), remote.updated_at);
+        if (isCurrent && hooks.onPulled) hooks.onPulled(project);
+
+    } else if (action === 'merge') {
+        return 'conflict';
+    }
+
+    return 'synced';
+}
+
+async function recordSync(project, content, lastSynced) {
+    project.last_synced = lastSynced;
+    await saveSyncBase(project.id, content);
+    await updateProject(project);
+}
+
+function setStatus(state, error = null) {
+    if (hooks.onStatusChange) hooks.onStatusChange({ state, error });
+}
@@ -0,0 +1,180 @@
+/**
+ * Kanban Board View
+ * Shows a project's features in one column per status, filterable by phase.
+ * Dragging a card to another column changes the feature's status.
+ */
+
+import { getCurrentProject, setFeatureStatus, autoSave } from './storage.js';
+import { selectItem, getSelectedItem } from './canvas.js';
+import { getStatuses, countByStatus } from './statuses.js';
+import { createLabelBadgesHTML } from './labels.js';
+import { calculateProgress, sanitizeHTML } from './utils.js';
+
+let boardElement = null;
+let phaseFilter = 'all';
+let filterProjectId = null;
+let draggedFeatureId = null;
+
+// Initialize the board; listeners are delegated so re-renders don't need to re-bind them
+export function initBoard() {
+    boardElement = document.getElementById('board-view');
+    if (!boardElement) {
+        console.error('Board element not found');
+        return;
+    }
+
+    boardElement.addEventListener('change', (e) => {
+        if (e.target.classList.contains('board-phase-filter')) {
+            phaseFilter = e.target.value;
+            renderBoard(getCurrentProject());
+        }
+    });
+
+    boardElement.addEventListener('click', (e) => {
+        const card = e.target.closest('.board-card');
+        if (card) {
+            selectItem('feature', card.dataset.featureId);
+            highlightSelection();
+        }
+    });
+
+    boardElement.addEventListener('dragstart', (e) => {
+        const card = e.target.closest('.board-card');
+        if (!card) return;
+
+        draggedFeatureId = card.dataset.featureId;
+        card.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', draggedFeatureId);
+    });
+
+    boardElement.addEventListener('dragend', (e) => {
+        e.target.closest('.board-card')?.classList.remove('dragging');
+        clearDropTargets();
+        draggedFeatureId = null;
+    });
+
+    boardElement.addEventListener('dragover', (e) => {
+        const column = e.target.closest('.board-column');
+        if (!column || !draggedFeatureId) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (!column.classList.contains('drop-target')) {
+            clearDropTargets();
+            column.classList.add('drop-target');
+        }
+    });
+
+    boardElement.addEventListener('drop', (e) => {
+        const column = e.target.closest('.board-column');
+        if (!column || !draggedFeatureId) return;
+
+        e.preventDefault();
+        moveFeature(draggedFeatureId, column.dataset.status);
+    });
+}
+
+// Render the board for a project
+export function renderBoard(project) {
+    if (!boardElement) return;
+
+    if (!project) {
+        boardElement.innerHTML = '';
+        return;
+    }
+
+    // The phase filter belongs to the project it was chosen in, and to phases that still exist
+    const filterValid = phaseFilter === 'all' || project.phases.some(phase => phase.id === phaseFilter);
+    if (project.id !== filterProjectId || !filterValid) {
+        phaseFilter = 'all';
+        filterProjectId = project.id;
+    }
+
+    const phases = phaseFilter === 'all'
+        ? project.phases
+        : project.phases.filter(phase => phase.id === phaseFilter);
+    const entries = phases.flatMap(phase => phase.features.map(feature => ({ phase, feature })));
+
+    // One column per status, plus any unknown status still in use
+    const inUse = countByStatus(project, entries.map(entry => entry.feature)).map(({ status }) => status);
+    const columns = [
+        ...getStatuses(project),
+        ...inUse.filter(status => !getStatuses(project).some(s => s.id === status.id))
+    ];
+
+    boardElement.innerHTML = `
+        <div class="board-toolbar">
+            <label for="board-phase-filter">Phase:</label>
+            <select id="board-phase-filter" class="board-phase-filter">
+                <option value="all">All phases</option>
+                ${project.phases.map(phase => `
+                    <option value="${phase.id}" ${phase.id === phaseFilter ? 'selected' : ''}>
+                        ${sanitizeHTML(phase.name)}
+                    </option>
+                `).join('')}
+            </select>
+            <span class="board-count">${entries.length} feature${entries.length === 1 ? '' : 's'}</span>
+        </div>
+        <div class="board-columns">
+            ${columns.map(status => {
+                const cards = entries.filter(entry => entry.feature.status === status.id);
+                return `
+                    <div class="board-column" data-status="${sanitizeHTML(status.id)}" style="--status-color: ${sanitizeHTML(status.color)};">
+                        <div class="board-column-header">
+                            <span class="status-swatch" style="background: ${sanitizeHTML(status.color)};"></span>
+                            <span class="board-column-title">${sanitizeHTML(status.label)}</span>
+                            <span class="board-column-count">${cards.length}</span>
+                        </div>
+                        <div class="board-column-cards">
+                            ${cards.map(entry => createBoardCardHTML(entry, phaseFilter === 'all')).join('')}
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+
+    highlightSelection();
+}
+
+function createBoardCardHTML({ phase, feature }, showPhase) {
+    const progress = calculateProgress(feature.subtasks, 'completed');
+
+    return `
+        <div class="board-card" data-feature-id="${feature.id}" draggable="true">
+            <div class="board-card-name">
+                ${sanitizeHTML(feature.name)}
+                ${feature.ai_generated ? '<span class="ai-badge small" title="AI Generated">🤖</span>' : ''}
+            </div>
+            <div class="board-card-meta">
+                ${createLabelBadgesHTML(feature)}
+                ${showPhase ? `<span class="board-card-phase">${sanitizeHTML(phase.name)}</span>` : ''}
+                ${progress.total > 0 ? `<span>${progress.completed}/${progress.total} subtasks</span>` : ''}
+                ${feature.dependencies.length > 0 ? `<span title="Dependencies">🔗 ${feature.dependencies.length}</span>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// Move a feature to another status column
+function moveFeature(featureId, statusId) {
+    const project = getCurrentProject();
+    if (!project) return;
+
+    if (setFeatureStatus(project, featureId, statusId)) {
+        renderBoard(project);
+        autoSave();
+    }
+}
+
+function highlightSelection() {
+    const selected = getSelectedItem();
+    boardElement.querySelectorAll('.board-card').forEach(card => {
+        card.classList.toggle('selected', selected?.type === 'feature' && selected.id === card.dataset.featureId);
+    });
+}
+
+function clearDropTargets() {
+    boardElement.querySelectorAll('.drop-target').forEach(column => column.classList.remove('drop-target'));
+}
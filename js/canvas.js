@@ -4,11 +4,21 @@
  */
 
 import {
-    findPhase, findFeature, addPhase, addFeature, addSubtask,
+    findPhase, findFeature, findSubtask, addPhase, addFeature, addSubtask,
     deletePhase, deleteFeature, deleteSubtaskFromProject,
-    autoSave, getCurrentProject
+    addDependency, removeDependency, wouldCreateCycle, setFeatureStatus,
+    toggleFeatureComplete, toggleSubtaskComplete, autoSave, getCurrentProject
 } from './storage.js';
-import { generateId, throttle, showNotification, confirmDialog, promptDialog, calculateProgress, sanitizeHTML } from './utils.js';
+import {
+    generateId, throttle, showNotification, confirmDialog, promptDialog, checklistDialog,
+    calculateProgress, sanitizeHTML
+} from './utils.js';
+import { getStatus, getStatuses, isDoneStatus, countByStatus } from './statuses.js';
+import { openStatusManager } from './status-manager.js';
+import { computeSchedule } from './schedule.js';
+import {
+    PRIORITIES, getLabels, hasLabels, setLabels, formatLabels, parseLabels, createLabelBadgesHTML
+} from './labels.js';
 
 let canvas = null;
 let canvasContent = null;
@@ -23,11 +33,21 @@ let startY = 0;
 let draggedElement = null;
 let draggedType = null;
 let draggedId = null;
+let isLinking = false;
+let linkSourceId = null;
+let linkLine = null;
+let selectedItem = null;
+const selectionListeners = [];
+const renderListeners = [];
 
 // Zoom constraints
 const MIN_ZOOM = 0.25;
 const MAX_ZOOM = 4;
 const ZOOM_STEP = 0.1;
+// Zoom level used when jumping to a feature
+const FOCUS_ZOOM = 1;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
 // Export for external access
 export function getCanvasState() {
@@ -43,6 +63,53 @@ export function setCanvasState(state) {
     }
 }
 
+// Get the selected phase or feature: { type: 'phase' | 'feature', id } or null
+export function getSelectedItem() {
+    return selectedItem;
+}
+
+// Register a callback to run when the selection changes
+export function onSelectionChange(callback) {
+    selectionListeners.push(callback);
+}
+
+// Register a callback to run after the project is rendered
+export function onRender(callback) {
+    renderListeners.push(callback);
+}
+
+// Select a phase or feature (type null clears the selection)
+export function selectItem(type, id) {
+    const changed = selectedItem?.type !== type || selectedItem?.id !== id;
+    selectedItem = type ? { type, id } : null;
+    applySelection();
+    if (changed) {
+        selectionListeners.forEach(callback => callback(selectedItem));
+    }
+}
+
+// Mark the selected element, dropping the selection if it no longer exists
+function applySelection() {
+    document.querySelectorAll('.phase-container.selected, .feature-card.selected').forEach(el => {
+        el.classList.remove('selected');
+    });
+
+    if (!selectedItem) return;
+
+    const project = getCurrentProject();
+    const exists = project && (selectedItem.type === 'phase'
+        ? findPhase(project, selectedItem.id)
+        : findFeature(project, selectedItem.id));
+
+    if (!exists) {
+        selectItem(null);
+        return;
+    }
+
+    // A feature inside a collapsed phase stays selected without an element
+    document.getElementById(`${selectedItem.type}-${selectedItem.id}`)?.classList.add('selected');
+}
+
 // Initialize canvas
 export function initCanvas() {
     canvas = document.getElementById('canvas');
@@ -73,6 +140,9 @@ function setupEventListeners() {
     canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
     canvas.addEventListener('touchend', handleTouchEnd);
 
+    // Re-route dependency lines when a phase's feature list scrolls
+    canvasContent.addEventListener('scroll', refreshDependencyLinesSoon, true);
+
     // Prevent context menu on canvas for right-click actions
     canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 
@@ -126,6 +196,9 @@ function zoomAtPoint(clientX, clientY, delta) {
 // Handle mouse down
 function handleMouseDown(e) {
     if (e.target === canvas || e.target === canvasContent) {
+        // Clicking empty canvas clears the selection
+        selectItem(null);
+
         // Start panning
         isPanning = true;
         startX = e.clientX - translateX;
@@ -135,6 +208,9 @@ function handleMouseDown(e) {
     }
 }
 
+// Re-route dependency lines at most every 50ms, e.g. while scrolling or dragging
+const refreshDependencyLinesSoon = throttle(() => refreshDependencyLines(), 50);
+
 // Handle mouse move
 function handleMouseMove(e) {
     if (isPanning) {
@@ -152,6 +228,9 @@ function handleMouseMove(e) {
 
         // Highlight drop zones
         highlightDropZones(e.clientX, e.clientY);
+        refreshDependencyLinesSoon();
+    } else if (isLinking) {
+        updateLinkLine(e.clientX, e.clientY);
     }
 }
 
@@ -170,6 +249,8 @@ function handleMouseUp(e) {
         draggedType = null;
         draggedId = null;
         clearDropZones();
+    } else if (isLinking) {
+        finishLinking(e.clientX, e.clientY);
     }
 }
 
@@ -301,6 +382,58 @@ export function resetZoom() {
     saveCanvasState();
 }
 
+// Center the canvas on a feature card and select it, expanding its phase if needed
+// The canvas must be visible. Returns false if the feature doesn't exist.
+export function focusFeature(featureId) {
+    const project = getCurrentProject();
+    const result = project && findFeature(project, featureId);
+    if (!result) return false;
+
+    if (result.phase.collapsed) {
+        result.phase.collapsed = false;
+        renderProject(project);
+        autoSave();
+    }
+
+    const card = document.getElementById(`feature-${featureId}`);
+    if (!card) return false;
+
+    centerOn(card);
+    selectItem('feature', featureId);
+    card.classList.add('focused');
+    setTimeout(() => card.classList.remove('focused'), 1500);
+    return true;
+}
+
+// Center the canvas on a phase header and select the phase
+// The canvas must be visible. Returns false if the phase doesn't exist.
+export function focusPhase(phaseId) {
+    const phaseElement = document.getElementById(`phase-${phaseId}`);
+    if (!phaseElement) return false;
+
+    centerOn(phaseElement.querySelector('.phase-header'));
+    selectItem('phase', phaseId);
+    phaseElement.classList.add('focused');
+    setTimeout(() => phaseElement.classList.remove('focused'), 1500);
+    return true;
+}
+
+// Pan and zoom so an element lands in the middle of the canvas
+function centerOn(element) {
+    // Element center in content space
+    const rect = canvas.getBoundingClientRect();
+    const elementRect = element.getBoundingClientRect();
+    const contentX = (elementRect.left + elementRect.width / 2 - rect.left - translateX) / scale;
+    const contentY = (elementRect.top + elementRect.height / 2 - rect.top - translateY) / scale;
+
+    scale = FOCUS_ZOOM;
+    translateX = rect.width / 2 - contentX * scale;
+    translateY = rect.height / 2 - contentY * scale;
+    applyTransform();
+    updateZoomDisplay();
+    saveCanvasState();
+}
+
 // ==================== Rendering ====================
 
 // Render entire project
@@ -320,12 +453,19 @@ export function renderProject(project) {
                 <button class="btn btn-primary" onclick="window.app.addNewPhase()">+ Add Phase</button>
             </div>
         `;
+        clearDependencyLines();
+        selectItem(null);
+        renderListeners.forEach(callback => callback(project));
         return;
     }
 
+    // Critical path highlighting needs at least one estimate to mean anything
+    const schedule = computeSchedule(project);
+    const showSchedule = schedule.unestimated < schedule.remaining || schedule.cycles.length > 0;
+
     // Render phases
     project.phases.forEach((phase, index) => {
-        const phaseElement = createPhaseElement(phase, index);
+        const phaseElement = createPhaseElement(phase, index, showSchedule ? schedule : null);
         canvasContent.appendChild(phaseElement);
     });
 
@@ -337,10 +477,15 @@ export function renderProject(project) {
     addButton.style.top = '100px';
     addButton.onclick = () => window.app.addNewPhase();
     canvasContent.appendChild(addButton);
+
+    // Re-route dependency lines against the new layout
+    refreshDependencyLines();
+    applySelection();
+    renderListeners.forEach(callback => callback(project));
 }
 
 // Create phase element
-function createPhaseElement(phase, index) {
+function createPhaseElement(phase, index, schedule) {
     const div = document.createElement('div');
     div.className = 'phase-container' + (phase.collapsed ? ' collapsed' : '');
     div.id = `phase-${phase.id}`;
@@ -351,8 +496,9 @@ function createPhaseElement(phase, index) {
     div.style.top = `${phase.position?.y || 100}px`;
 
     // Calculate progress
+    const project = getCurrentProject();
     const totalFeatures = phase.features.length;
-    const completedFeatures = phase.features.filter(f => f.status === 'complete').length;
+    const completedFeatures = phase.features.filter(f => isDoneStatus(project, f.status)).length;
 
     div.innerHTML = `
         <div class="phase-header" data-phase-id="${phase.id}">
@@ -361,10 +507,11 @@ function createPhaseElement(phase, index) {
             <span class="phase-progress">${completedFeatures}/${totalFeatures} ✓</span>
             <button class="phase-menu-btn" title="Options">⋮</button>
         </div>
+        ${createStatusBarHTML(project, phase.features)}
         ${!phase.collapsed ? `
             <div class="phase-description" contenteditable="false">${sanitizeHTML(phase.description || 'Click to add description')}</div>
             <div class="phase-features" data-phase-id="${phase.id}">
-                ${phase.features.map(f => createFeatureHTML(f)).join('')}
+                ${phase.features.map(f => createFeatureHTML(f, schedule)).join('')}
             </div>
             <button class="add-feature-btn" data-phase-id="${phase.id}">+ Add Feature</button>
         ` : ''}
@@ -376,26 +523,55 @@ function createPhaseElement(phase, index) {
     return div;
 }
 
-// Create feature HTML
-function createFeatureHTML(feature) {
-    const statusClass = `status-${feature.status.replace('_', '-')}`;
+// Stacked bar with the share of a phase's features in each status
+function createStatusBarHTML(project, features) {
+    if (features.length === 0) return '';
+
+    const segments = countByStatus(project, features).map(({ status, count }) => `
+        <span class="phase-status-segment"
+              style="width: ${(count / features.length) * 100}%; background: ${sanitizeHTML(status.color)};"
+              title="${sanitizeHTML(status.label)}: ${count}"></span>
+    `).join('');
+
+    return `<div class="phase-status-bar">${segments}</div>`;
+}
+
+// Create feature HTML; schedule (from computeSchedule) marks the critical path
+function createFeatureHTML(feature, schedule = null) {
+    const status = getStatus(getCurrentProject(), feature.status);
+    const statusClass = `status-${sanitizeHTML(feature.status.replace(/_/g, '-'))}`;
     const markedClass = feature.marked_as !== 'none' ? `marked-${feature.marked_as}` : '';
     const progress = calculateProgress(feature.subtasks, 'completed');
+    const timing = schedule?.features.get(feature.id);
+    const critical = !!timing?.critical;
+    const inCycle = !!schedule?.cycles.some(cycle => cycle.includes(feature.id));
 
     return `
-        <div class="feature-card ${statusClass} ${markedClass}${feature.collapsed ? ' collapsed' : ''}" 
+        <div class="feature-card ${statusClass} ${markedClass}${feature.collapsed ? ' collapsed' : ''}${critical ? ' critical-path' : ''}" 
              id="feature-${feature.id}" 
              data-feature-id="${feature.id}"
+             style="--status-color: ${sanitizeHTML(status.color)};"
              draggable="true">
             <div class="feature-header">
                 <input type="checkbox" 
                        class="feature-checkbox" 
-                       ${feature.status === 'complete' ? 'checked' : ''} 
+                       ${status.done ? 'checked' : ''} 
                        data-feature-id="${feature.id}">
                 <span class="feature-name" contenteditable="false">${sanitizeHTML(feature.name)}</span>
                 <span class="collapse-icon">${feature.collapsed ? '►' : '▼'}</span>
+                <span class="link-handle" data-feature-id="${feature.id}"
+                      title="Drag onto a feature this one depends on">⛓</span>
                 ${feature.ai_generated ? '<span class="ai-badge" title="AI Generated">🤖</span>' : ''}
+                ${critical ? '<span class="schedule-badge critical" title="On the critical path: any delay here delays the project">⏱</span>' : ''}
+                ${inCycle ? '<span class="schedule-badge cycle" title="Part of a dependency cycle, so it can\'t be scheduled">⚠️</span>' : ''}
             </div>
+
+            ${hasLabels(feature) || !feature.collapsed ? `
+                <div class="item-labels feature-labels">
+                    ${createLabelBadgesHTML(feature, 'feature')}
+                    ${createLabelsEditButtonHTML(feature, 'feature')}
+                </div>
+            ` : ''}
             
             ${!feature.collapsed ? `
                 <div class="feature-actions">
@@ -411,6 +587,8 @@ function createFeatureHTML(feature) {
                     ${sanitizeHTML(feature.description || 'Click to add description')}
                 </div>
                 
+                ${createDependenciesHTML(feature)}
+                
                 <div class="feature-subtasks" data-feature-id="${feature.id}">
                     ${feature.subtasks.map(s => `
                         <div class="subtask-item" data-subtask-id="${s.id}">
@@ -419,6 +597,10 @@ function createFeatureHTML(feature) {
                                    ${s.completed ? 'checked' : ''} 
                                    data-subtask-id="${s.id}">
                             <span class="subtask-text" contenteditable="false">${sanitizeHTML(s.description)}</span>
+                            <span class="item-labels subtask-labels">
+                                ${createLabelBadgesHTML(s, 'subtask')}
+                                ${createLabelsEditButtonHTML(s, 'subtask')}
+                            </span>
                             ${s.ai_generated ? '<span class="ai-badge small">🤖</span>' : ''}
                             <button class="subtask-delete" data-subtask-id="${s.id}">×</button>
                         </div>
@@ -428,16 +610,65 @@ function createFeatureHTML(feature) {
                 <button class="add-subtask-btn" data-feature-id="${feature.id}">+ Add Subtask</button>
                 
                 <div class="feature-meta">
-                    <span class="status-badge">${feature.status.replace('_', ' ')}</span>
+                    <button class="status-badge" data-feature-id="${feature.id}"
+                            title="Change status">${sanitizeHTML(status.label)} ▾</button>
                     <span class="subtask-count">${progress.completed}/${progress.total} subtasks</span>
+                    ${timing && !critical && timing.duration > 0 ? `
+                        <span class="slack-info" title="Can slip this many days without delaying the project">
+                            ${timing.slack}d slack
+                        </span>
+                    ` : ''}
                 </div>
             ` : ''}
         </div>
     `;
 }
 
+// Button that turns an item's labels into an editable line of text
+function createLabelsEditButtonHTML(item, type) {
+    return `
+        <button class="labels-edit-btn" data-label-type="${type}" data-label-id="${item.id}"
+                title="Edit priority, #tags and @assignees">${hasLabels(item) ? '✎' : type === 'feature' ? '+ Labels' : '🏷'}</button>
+    `;
+}
+
+// Create the "Depends on" list for an expanded feature card
+function createDependenciesHTML(feature) {
+    const project = getCurrentProject();
+
+    const chips = feature.dependencies.map(depId => {
+        const result = project ? findFeature(project, depId) : null;
+        if (!result) return '';
+        return `
+            <span class="dependency-chip" data-dependency-id="${depId}">
+                ${sanitizeHTML(result.feature.name)}
+                <button class="dependency-remove" data-feature-id="${feature.id}"
+                        data-dependency-id="${depId}" title="Remove dependency">×</button>
+            </span>
+        `;
+    }).join('');
+
+    return `
+        <div class="feature-dependencies" data-feature-id="${feature.id}">
+            <span class="dependencies-label">Depends on</span>
+            ${chips}
+            <button class="add-dependency-btn" data-feature-id="${feature.id}">+ Link</button>
+        </div>
+    `;
+}
+
 // Setup phase event listeners
 function setupPhaseEventListeners(phaseElement, phase) {
+    // Selection (for phase- and feature-level AI work)
+    phaseElement.addEventListener('click', (e) => {
+        const card = e.target.closest('.feature-card');
+        if (card) {
+            selectItem('feature', card.dataset.featureId);
+        } else {
+            selectItem('phase', phase.id);
+        }
+    });
+
     // Collapse/expand
     const header = phaseElement.querySelector('.phase-header');
     header.addEventListener('click', (e) => {
@@ -509,6 +740,31 @@ function setupFeatureEventListeners(container) {
         });
     });
 
+    // Status picker
+    container.querySelectorAll('.status-badge').forEach(badge => {
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const rect = badge.getBoundingClientRect();
+            showStatusMenu(badge.dataset.featureId, rect.left, rect.bottom + 4);
+        });
+    });
+
+    // Priority picker and label editing (features and subtasks)
+    container.querySelectorAll('.priority-badge').forEach(badge => {
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const rect = badge.getBoundingClientRect();
+            showPriorityMenu(badge.dataset.labelType, badge.dataset.labelId, rect.left, rect.bottom + 4);
+        });
+    });
+
+    container.querySelectorAll('.labels-edit-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            startLabelEditing(btn.closest('.item-labels'), btn.dataset.labelType, btn.dataset.labelId);
+        });
+    });
+
     // Feature collapse
     container.querySelectorAll('.feature-card .collapse-icon').forEach(icon => {
         icon.addEventListener('click', (e) => {
@@ -565,6 +821,30 @@ function setupFeatureEventListeners(container) {
         });
     });
 
+    // Dependency editing
+    container.querySelectorAll('.dependency-remove').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            unlinkDependency(btn.dataset.featureId, btn.dataset.dependencyId);
+        });
+    });
+
+    container.querySelectorAll('.add-dependency-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openDependencyPicker(btn.dataset.featureId);
+        });
+    });
+
+    container.querySelectorAll('.link-handle').forEach(handle => {
+        handle.addEventListener('mousedown', (e) => {
+            // Prevent the card's native drag from starting
+            e.preventDefault();
+            e.stopPropagation();
+            startLinking(handle.dataset.featureId, e.clientX, e.clientY);
+        });
+    });
+
     // Add subtask
     container.querySelectorAll('.add-subtask-btn').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -648,40 +928,30 @@ function toggleFeatureStatus(featureId) {
     const project = getCurrentProject();
     if (!project) return;
 
-    const result = findFeature(project, featureId);
-    if (result) {
-        const feature = result.feature;
-        feature.status = feature.status === 'complete' ? 'not_started' : 'complete';
+    if (toggleFeatureComplete(project, featureId)) {
         renderProject(project);
         autoSave();
     }
 }
 
-function toggleSubtaskStatus(subtaskId) {
+// Change a feature's status from the picker
+function changeFeatureStatus(featureId, statusId) {
     const project = getCurrentProject();
     if (!project) return;
 
-    for (const phase of project.phases) {
-        for (const feature of phase.features) {
-            const subtask = feature.subtasks.find(s => s.id === subtaskId);
-            if (subtask) {
-                subtask.completed = !subtask.completed;
-
-                // Update feature status based on subtasks
-                const allComplete = feature.subtasks.every(s => s.completed);
-                const anyComplete = feature.subtasks.some(s => s.completed);
+    if (setFeatureStatus(project, featureId, statusId)) {
+        renderProject(project);
+        autoSave();
+    }
+}
 
-                if (allComplete && feature.subtasks.length > 0) {
-                    feature.status = 'complete';
-                } else if (anyComplete) {
-                    feature.status = 'in_progress';
-                }
+function toggleSubtaskStatus(subtaskId) {
+    const project = getCurrentProject();
+    if (!project) return;
 
-                renderProject(project);
-                autoSave();
-                return;
-            }
-        }
+    if (toggleSubtaskComplete(project, subtaskId)) {
+        renderProject(project);
+        autoSave();
     }
 }
 
@@ -729,6 +999,50 @@ function updateFeatureDescription(featureId, description) {
     }
 }
 
+// Find a feature or subtask that carries labels
+function findLabelledItem(project, type, id) {
+    return type === 'feature' ? findFeature(project, id)?.feature : findSubtask(project, id)?.subtask;
+}
+
+// Replace an item's badges with a text input, e.g. "P1 #frontend @sam"
+function startLabelEditing(container, type, id) {
+    const project = getCurrentProject();
+    const item = project ? findLabelledItem(project, type, id) : null;
+    if (!item) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'labels-input';
+    input.value = formatLabels(item);
+    input.placeholder = 'P1 #tag @name';
+    container.innerHTML = '';
+    container.appendChild(input);
+    input.focus();
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+
+        if (save) {
+            setLabels(item, parseLabels(input.value));
+            autoSave();
+        }
+        renderProject(project);
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+}
+
 function updateSubtaskText(subtaskId, text) {
     const project = getCurrentProject();
     if (!project) return;
@@ -760,8 +1074,9 @@ function handleFeatureAction(action, featureId) {
             result.feature.marked_as = result.feature.marked_as === 'discard' ? 'none' : 'discard';
             break;
         case 'dependencies':
+            // View state only: no re-render, save or undo step
             showDependencies(featureId);
-            break;
+            return;
         case 'delete':
             deleteFeatureWithConfirm(featureId);
             return;
@@ -899,87 +1214,481 @@ function showPhaseMenu(phaseId, x, y) {
     }, 10);
 }
 
+// Show the status picker for a feature
+function showStatusMenu(featureId, x, y) {
+    const existing = document.querySelector('.context-menu');
+    if (existing) existing.remove();
+
+    const project = getCurrentProject();
+    const result = project ? findFeature(project, featureId) : null;
+    if (!result) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'context-menu status-menu';
+    menu.innerHTML = `
+        ${getStatuses(project).map(status => `
+            <button data-status="${sanitizeHTML(status.id)}" class="${status.id === result.feature.status ? 'active' : ''}">
+                <span class="status-swatch" style="background: ${sanitizeHTML(status.color)};"></span>
+                ${sanitizeHTML(status.label)}
+            </button>
+        `).join('')}
+        <button data-action="manage" class="status-menu-manage">Manage statuses...</button>
+    `;
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+
+    document.body.appendChild(menu);
+
+    const close = () => {
+        menu.remove();
+        document.removeEventListener('click', closeOnOutsideClick);
+    };
+    const closeOnOutsideClick = (e) => {
+        if (!menu.contains(e.target)) close();
+    };
+
+    menu.querySelectorAll('button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            close();
+            if (btn.dataset.action === 'manage') {
+                openStatusManager(project, () => {
+                    renderProject(project);
+                    autoSave();
+                });
+            } else {
+                changeFeatureStatus(featureId, btn.dataset.status);
+            }
+        });
+    });
+
+    setTimeout(() => document.addEventListener('click', closeOnOutsideClick), 10);
+}
+
+// Pick the priority of a feature or subtask
+function showPriorityMenu(type, id, x, y) {
+    const existing = document.querySelector('.context-menu');
+    if (existing) existing.remove();
+
+    const project = getCurrentProject();
+    const item = project ? findLabelledItem(project, type, id) : null;
+    if (!item) return;
+
+    const current = getLabels(item);
+    const menu = document.createElement('div');
+    menu.className = 'context-menu status-menu';
+    menu.innerHTML = `
+        ${PRIORITIES.map(priority => `
+            <button data-priority="${priority.id}" class="${priority.id === current.priority ? 'active' : ''}">
+                <span class="status-swatch" style="background: ${priority.color};"></span>
+                ${priority.label}
+            </button>
+        `).join('')}
+        <button data-priority="" class="status-menu-manage">No priority</button>
+    `;
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+
+    document.body.appendChild(menu);
+
+    const close = () => {
+        menu.remove();
+        document.removeEventListener('click', closeOnOutsideClick);
+    };
+    const closeOnOutsideClick = (e) => {
+        if (!menu.contains(e.target)) close();
+    };
+
+    menu.querySelectorAll('button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            close();
+            setLabels(item, { ...current, priority: btn.dataset.priority || null });
+            renderProject(project);
+            autoSave();
+        });
+    });
+
+    setTimeout(() => document.addEventListener('click', closeOnOutsideClick), 10);
+}
+
+// ==================== AI Preview ====================
+
+// Show a plan that is still streaming in, to the right of the current phases
+// phases is the partially parsed AI output: [{ name, description, features }]
+export function renderAIPreview(phases) {
+    if (!canvasContent) return;
+
+    let layer = canvasContent.querySelector('.ai-preview-layer');
+    if (!layer) {
+        layer = document.createElement('div');
+        layer.className = 'ai-preview-layer';
+
+        // Start past the rightmost phase (or the "Add Phase" button)
+        const right = [...canvasContent.querySelectorAll('.phase-container, .add-phase-btn')]
+            .reduce((max, el) => Math.max(max, el.offsetLeft + el.offsetWidth), 0);
+        layer.style.left = `${right + 40}px`;
+        layer.style.top = '100px';
+
+        // The preview takes the place of the empty state
+        canvasContent.querySelector('.empty-state')?.remove();
+        canvasContent.appendChild(layer);
+    }
+
+    const namedPhases = (phases || []).filter(phase => phase && phase.name);
+
+    layer.innerHTML = namedPhases.map((phase, index) => `
+        <div class="phase-container ai-preview" style="left: ${index * 360}px;">
+            <div class="phase-header">
+                <span class="phase-name">${sanitizeHTML(phase.name)}</span>
+                ${index === namedPhases.length - 1 ? '<span class="ai-preview-badge">Generating…</span>' : ''}
+            </div>
+            ${phase.description ? `<div class="phase-description">${sanitizeHTML(phase.description)}</div>` : ''}
+            <div class="phase-features">
+                ${(Array.isArray(phase.features) ? phase.features : [])
+                    .filter(feature => feature && feature.name)
+                    .map(createPreviewFeatureHTML).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+// Remove the streaming preview
+export function clearAIPreview() {
+    const layer = canvasContent?.querySelector('.ai-preview-layer');
+    if (!layer) return;
+
+    layer.remove();
+
+    // Bring back the empty state if the preview replaced it
+    if (canvasContent.children.length === 0) {
+        renderProject(getCurrentProject());
+    }
+}
+
+function createPreviewFeatureHTML(feature) {
+    const subtasks = Array.isArray(feature.suggested_subtasks) ? feature.suggested_subtasks : [];
+
+    return `
+        <div class="feature-card ai-preview-feature">
+            <div class="feature-header">
+                <span class="feature-name">${sanitizeHTML(feature.name)}</span>
+            </div>
+            ${feature.description ? `<div class="feature-description">${sanitizeHTML(feature.description)}</div>` : ''}
+            ${subtasks.length > 0 ? `
+                <div class="feature-subtasks">
+                    ${subtasks.map(subtask => `
+                        <div class="subtask-item"><span class="subtask-text">${sanitizeHTML(String(subtask))}</span></div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
 // ==================== Dependencies ====================
 
 let activeDependencyFeatureId = null;
+let dependencyOverlayEnabled = false;
+
+// Toggle the always-on overlay of every dependency in the project
+export function setDependencyOverlay(enabled) {
+    dependencyOverlayEnabled = enabled;
+    refreshDependencyLines();
+}
 
+export function isDependencyOverlayEnabled() {
+    return dependencyOverlayEnabled;
+}
+
+// Focus the dependency lines of one feature (toggles off for the same feature)
 function showDependencies(featureId) {
+    activeDependencyFeatureId = activeDependencyFeatureId === featureId ? null : featureId;
+    refreshDependencyLines();
+}
+
+// Redraw dependency lines against the current layout
+export function refreshDependencyLines() {
+    clearDependencyLines();
+
+    const project = getCurrentProject();
+    if (!project || !svgOverlay) return;
+
+    const edges = [];
+
+    if (dependencyOverlayEnabled) {
+        for (const phase of project.phases) {
+            for (const feature of phase.features) {
+                feature.dependencies.forEach(depId => {
+                    const focused = activeDependencyFeatureId &&
+                        (feature.id === activeDependencyFeatureId || depId === activeDependencyFeatureId);
+                    edges.push({
+                        from: depId,
+                        to: feature.id,
+                        type: activeDependencyFeatureId ? (focused ? 'direct' : 'muted') : 'direct'
+                    });
+                });
+            }
+        }
+    } else if (activeDependencyFeatureId) {
+        const result = findFeature(project, activeDependencyFeatureId);
+        if (!result) {
+            activeDependencyFeatureId = null;
+            return;
+        }
+
+        result.feature.dependencies.forEach(depId => {
+            edges.push({ from: depId, to: activeDependencyFeatureId, type: 'direct' });
+
+            // Indirect dependencies (level 2)
+            const depResult = findFeature(project, depId);
+            if (depResult) {
+                depResult.feature.dependencies.forEach(indirectDepId => {
+                    edges.push({ from: indirectDepId, to: depId, type: 'indirect' });
+                });
+            }
+        });
+    }
+
+    if (edges.length === 0) return;
+
+    ensureArrowMarkers();
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'dependency-edges');
+
+    for (const edge of edges) {
+        const from = findFeature(project, edge.from);
+        const to = findFeature(project, edge.to);
+        if (!from || !to) continue;
+
+        const fromRect = getDependencyAnchor(from);
+        const toRect = getDependencyAnchor(to);
+        if (!fromRect || !toRect) continue;
+
+        // An edge is blocked until its prerequisite is complete
+        const state = isDoneStatus(project, from.feature.status) ? 'satisfied' : 'blocked';
+        group.appendChild(drawDependencyCurve(fromRect, toRect, edge.type, state));
+    }
+
+    svgOverlay.appendChild(group);
+}
+
+// Get a feature's rectangle in content space, falling back to its phase when collapsed away
+function getDependencyAnchor({ phase, feature }) {
+    const el = document.getElementById(`feature-${feature.id}`) ||
+        document.getElementById(`phase-${phase.id}`);
+    if (!el) return null;
+
+    const rect = el.getBoundingClientRect();
+    const topLeft = toContentPoint(rect.left, rect.top);
+    return {
+        left: topLeft.x,
+        top: topLeft.y,
+        width: rect.width / scale,
+        height: rect.height / scale
+    };
+}
+
+// Draw a directed curve from a prerequisite to the feature that depends on it
+function drawDependencyCurve(fromRect, toRect, type, state) {
+    const fromCenterX = fromRect.left + fromRect.width / 2;
+    const toCenterX = toRect.left + toRect.width / 2;
+    const y1 = fromRect.top + fromRect.height / 2;
+    const y2 = toRect.top + toRect.height / 2;
+    let d;
+
+    if (Math.abs(toCenterX - fromCenterX) > (fromRect.width + toRect.width) / 2) {
+        // Different columns: leave and enter on the facing sides
+        const forward = toCenterX > fromCenterX;
+        const x1 = forward ? fromRect.left + fromRect.width : fromRect.left;
+        const x2 = forward ? toRect.left : toRect.left + toRect.width;
+        const bend = Math.max(40, Math.abs(x2 - x1) / 2) * (forward ? 1 : -1);
+        d = `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`;
+    } else {
+        // Same column: loop out of the right-hand side
+        const x1 = fromRect.left + fromRect.width;
+        const x2 = toRect.left + toRect.width;
+        const bend = 40 + Math.abs(y2 - y1) * 0.25;
+        const outerX = Math.max(x1, x2) + bend;
+        d = `M ${x1} ${y1} C ${outerX} ${y1}, ${outerX} ${y2}, ${x2} ${y2}`;
+    }
+
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('class', `dependency-line ${type} ${state}`);
+    path.setAttribute('marker-end', `url(#dependency-arrow-${type === 'direct' ? state : type})`);
+    return path;
+}
+
+// Arrowhead markers, one per line style so they pick up the stroke color
+function ensureArrowMarkers() {
+    if (svgOverlay.querySelector('defs')) return;
+
+    const defs = document.createElementNS(SVG_NS, 'defs');
+    ['satisfied', 'blocked', 'indirect', 'muted'].forEach(kind => {
+        const marker = document.createElementNS(SVG_NS, 'marker');
+        marker.setAttribute('id', `dependency-arrow-${kind}`);
+        marker.setAttribute('class', `dependency-arrow ${kind}`);
+        marker.setAttribute('viewBox', '0 0 10 10');
+        marker.setAttribute('refX', '9');
+        marker.setAttribute('refY', '5');
+        marker.setAttribute('markerWidth', '7');
+        marker.setAttribute('markerHeight', '7');
+        marker.setAttribute('orient', 'auto-start-reverse');
+
+        const arrow = document.createElementNS(SVG_NS, 'path');
+        arrow.setAttribute('d', 'M 0 0 L 10 5 L 0 10 z');
+        marker.appendChild(arrow);
+        defs.appendChild(marker);
+    });
+    svgOverlay.prepend(defs);
+}
+
+// Link a feature to a dependency, reporting duplicates and cycles
+function linkDependency(featureId, dependsOnId) {
     const project = getCurrentProject();
     if (!project) return;
 
-    // Toggle off if same feature
-    if (activeDependencyFeatureId === featureId) {
-        clearDependencyLines();
-        activeDependencyFeatureId = null;
+    const result = addDependency(project, featureId, dependsOnId);
+    if (!result.success) {
+        showNotification({ type: 'warning', message: result.error });
         return;
     }
 
-    activeDependencyFeatureId = featureId;
+    renderProject(project);
+    autoSave();
+    showNotification({ type: 'success', message: 'Dependency added', duration: 1500 });
+}
+
+function unlinkDependency(featureId, dependsOnId) {
+    const project = getCurrentProject();
+    if (!project) return;
+
+    if (removeDependency(project, featureId, dependsOnId)) {
+        renderProject(project);
+        autoSave();
+    }
+}
+
+// Pick dependencies from a list of all other features
+async function openDependencyPicker(featureId) {
+    const project = getCurrentProject();
+    if (!project) return;
+
     const result = findFeature(project, featureId);
     if (!result) return;
 
     const feature = result.feature;
+    const groups = project.phases
+        .map(phase => ({
+            label: phase.name,
+            items: phase.features
+                .filter(f => f.id !== featureId)
+                .map(f => {
+                    const checked = feature.dependencies.includes(f.id);
+                    const cyclic = !checked && wouldCreateCycle(project, featureId, f.id);
+                    return {
+                        value: f.id,
+                        label: f.name,
+                        checked,
+                        disabled: cyclic,
+                        hint: cyclic ? 'would create a cycle' : ''
+                    };
+                })
+        }))
+        .filter(group => group.items.length > 0);
+
+    const selected = await checklistDialog(
+        `Select the features that "${sanitizeHTML(feature.name)}" depends on:`,
+        groups,
+        'Dependencies'
+    );
+    if (!selected) return;
+
+    // Apply removals first so re-added links are checked against the new graph
+    const removed = feature.dependencies.filter(id => !selected.includes(id));
+    removed.forEach(id => removeDependency(project, featureId, id));
+
+    const errors = [];
+    for (const id of selected) {
+        if (feature.dependencies.includes(id)) continue;
+        const linkResult = addDependency(project, featureId, id);
+        if (!linkResult.success) errors.push(linkResult.error);
+    }
 
-    // Clear existing lines
-    clearDependencyLines();
+    renderProject(project);
+    autoSave();
 
-    // Get source element position
-    const sourceEl = document.getElementById(`feature-${featureId}`);
-    if (!sourceEl) return;
+    if (errors.length > 0) {
+        showNotification({ type: 'warning', message: errors.join('. '), duration: 5000 });
+    }
+}
+
+// Drag from a card's link handle onto another card to create a dependency
+function startLinking(featureId, clientX, clientY) {
+    if (!svgOverlay) return;
 
+    isLinking = true;
+    linkSourceId = featureId;
+
+    const sourceEl = document.getElementById(`feature-${featureId}`);
     const sourceRect = sourceEl.getBoundingClientRect();
-    const canvasRect = canvas.getBoundingClientRect();
+    const start = toContentPoint(
+        sourceRect.left + sourceRect.width / 2,
+        sourceRect.top + sourceRect.height / 2
+    );
+
+    linkLine = document.createElementNS(SVG_NS, 'line');
+    linkLine.setAttribute('x1', start.x);
+    linkLine.setAttribute('y1', start.y);
+    linkLine.setAttribute('class', 'dependency-line linking');
+    svgOverlay.appendChild(linkLine);
+    updateLinkLine(clientX, clientY);
+
+    canvas.classList.add('linking');
+}
 
-    // Draw lines to dependencies
-    feature.dependencies.forEach(depId => {
-        const depEl = document.getElementById(`feature-${depId}`);
-        if (depEl) {
-            const depRect = depEl.getBoundingClientRect();
-            drawDependencyLine(
-                (sourceRect.left + sourceRect.width / 2 - canvasRect.left - translateX) / scale,
-                (sourceRect.top + sourceRect.height / 2 - canvasRect.top - translateY) / scale,
-                (depRect.left + depRect.width / 2 - canvasRect.left - translateX) / scale,
-                (depRect.top + depRect.height / 2 - canvasRect.top - translateY) / scale,
-                'direct'
-            );
-
-            // Draw indirect dependencies (level 2)
-            const depResult = findFeature(project, depId);
-            if (depResult) {
-                depResult.feature.dependencies.forEach(indirectDepId => {
-                    const indirectEl = document.getElementById(`feature-${indirectDepId}`);
-                    if (indirectEl) {
-                        const indirectRect = indirectEl.getBoundingClientRect();
-                        drawDependencyLine(
-                            (depRect.left + depRect.width / 2 - canvasRect.left - translateX) / scale,
-                            (depRect.top + depRect.height / 2 - canvasRect.top - translateY) / scale,
-                            (indirectRect.left + indirectRect.width / 2 - canvasRect.left - translateX) / scale,
-                            (indirectRect.top + indirectRect.height / 2 - canvasRect.top - translateY) / scale,
-                            'indirect'
-                        );
-                    }
-                });
-            }
-        }
-    });
+function updateLinkLine(clientX, clientY) {
+    if (!linkLine) return;
+
+    const end = toContentPoint(clientX, clientY);
+    linkLine.setAttribute('x2', end.x);
+    linkLine.setAttribute('y2', end.y);
+
+    document.querySelectorAll('.feature-card.link-target').forEach(el => el.classList.remove('link-target'));
+    const targetCard = document.elementFromPoint(clientX, clientY)?.closest('.feature-card');
+    if (targetCard && targetCard.dataset.featureId !== linkSourceId) {
+        targetCard.classList.add('link-target');
+    }
 }
 
-function drawDependencyLine(x1, y1, x2, y2, type) {
-    if (!svgOverlay) return;
+function finishLinking(clientX, clientY) {
+    const targetCard = document.elementFromPoint(clientX, clientY)?.closest('.feature-card');
+    const sourceId = linkSourceId;
+
+    isLinking = false;
+    linkSourceId = null;
+    if (linkLine) {
+        linkLine.remove();
+        linkLine = null;
+    }
+    canvas.classList.remove('linking');
+    document.querySelectorAll('.feature-card.link-target').forEach(el => el.classList.remove('link-target'));
 
-    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    line.setAttribute('x1', x1);
-    line.setAttribute('y1', y1);
-    line.setAttribute('x2', x2);
-    line.setAttribute('y2', y2);
-    line.setAttribute('class', `dependency-line ${type}`);
-    svgOverlay.appendChild(line);
+    if (targetCard && targetCard.dataset.featureId !== sourceId) {
+        linkDependency(sourceId, targetCard.dataset.featureId);
+    }
+}
+
+// Convert a viewport point to canvas content coordinates
+function toContentPoint(clientX, clientY) {
+    const canvasRect = canvas.getBoundingClientRect();
+    return {
+        x: (clientX - canvasRect.left - translateX) / scale,
+        y: (clientY - canvasRect.top - translateY) / scale
+    };
 }
 
 function clearDependencyLines() {
-    if (svgOverlay) {
-        svgOverlay.innerHTML = '';
-    }
+    svgOverlay?.querySelector('.dependency-edges')?.remove();
 }
 
 // ==================== Drag and Drop ====================
@@ -0,0 +1,110 @@
+/**
+ * Sync Conflict Resolution Module
+ * Lets the user pick a side for every change made both locally and in the Gist
+ */
+
+import { sanitizeHTML } from './utils.js';
+
+// Show the conflict dialog
+// Resolves with a map of conflict key to 'local' or 'remote', or null if the sync is cancelled
+export function resolveSyncConflicts(conflicts) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal conflicts-modal">
+                <div class="modal-header">
+                    <h2>Resolve Sync Conflicts</h2>
+                    <button class="modal-close" data-action="cancel">×</button>
+                </div>
+                <div class="modal-body">
+                    <p class="settings-description">
+                        ${conflicts.length} ${conflicts.length === 1 ? 'item was' : 'items were'} changed both here
+                        and in the Gist. Everything else has been merged.
+                    </p>
+                    <div class="conflicts-bulk">
+                        <button class="btn btn-small" data-pick-all="local">Keep all mine</button>
+                        <button class="btn btn-small" data-pick-all="remote">Take all from Gist</button>
+                    </div>
+                    <div class="conflicts-list">
+                        ${conflicts.map((conflict, index) => createConflictHTML(conflict, index)).join('')}
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="cancel">Cancel Sync</button>
+                    <button class="btn btn-primary" data-action="apply">Merge and Sync</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        requestAnimationFrame(() => overlay.classList.add('show'));
+
+        overlay.querySelectorAll('[data-pick-all]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                overlay.querySelectorAll(`input[value="${btn.dataset.pickAll}"]`).forEach(input => {
+                    input.checked = true;
+                });
+            });
+        });
+
+        const handleAction = (apply) => {
+            overlay.classList.remove('show');
+            setTimeout(() => overlay.remove(), 300);
+
+            if (!apply) {
+                resolve(null);
+                return;
+            }
+
+            const resolutions = {};
+            conflicts.forEach((conflict, index) => {
+                resolutions[conflict.key] = overlay.querySelector(`input[name="conflict-${index}"]:checked`).value;
+            });
+            resolve(resolutions);
+        };
+
+        overlay.querySelectorAll('[data-action="cancel"]').forEach(btn => {
+            btn.addEventListener('click', () => handleAction(false));
+        });
+        overlay.querySelector('[data-action="apply"]').addEventListener('click', () => handleAction(true));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) handleAction(false);
+        });
+    });
+}
+
+function createConflictHTML(conflict, index) {
+    return `
+        <div class="conflict-item">
+            <div class="conflict-label">${sanitizeHTML(conflict.label)}</div>
+            <div class="conflict-options">
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="local"
+                           ${conflict.choice !== 'remote' ? 'checked' : ''}>
+                    <span class="conflict-side">Mine</span>
+                    <span class="conflict-value">${formatValue(conflict.local)}</span>
+                </label>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="remote"
+                           ${conflict.choice === 'remote' ? 'checked' : ''}>
+                    <span class="conflict-side">Gist</span>
+                    <span class="conflict-value">${formatValue(conflict.remote)}</span>
+                </label>
+            </div>
+        </div>
+    `;
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return '<em>(empty)</em>';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'Done' : 'Not done';
+    }
+    if (typeof value === 'object') {
+        return sanitizeHTML(JSON.stringify(value));
+    }
+    return sanitizeHTML(String(value).replace('_', ' '));
+}
@@ -0,0 +1,159 @@
+/**
+ * Structural Diff Module
+ * Compares two versions of a project by phase, feature and subtask ID
+ */
+
+import { sanitizeHTML } from './utils.js';
+
+// Fields compared at each level
+const PHASE_FIELDS = ['name', 'description', 'start_date', 'due_date', 'estimate_days'];
+const FEATURE_FIELDS = [
+    'name', 'description', 'status', 'marked_as', 'dependencies',
+    'start_date', 'due_date', 'estimate_days', 'priority', 'tags', 'assignees'
+];
+const SUBTASK_FIELDS = ['description', 'completed', 'priority', 'tags', 'assignees'];
+
+// Diff two project snapshots ({ phases }): what changed going from base to target
+export function diffProjects(base, target) {
+    const diff = {
+        phases: { added: [], removed: [], changed: [] },
+        features: { added: [], removed: [], changed: [] },
+        subtasks: { added: [], removed: [], changed: [] }
+    };
+
+    const basePhases = indexItems(base?.phases || [], () => null);
+    const targetPhases = indexItems(target?.phases || [], () => null);
+    const baseFeatures = indexItems(flattenFeatures(base), item => item.phase);
+    const targetFeatures = indexItems(flattenFeatures(target), item => item.phase);
+    const baseSubtasks = indexItems(flattenSubtasks(base), item => item.feature);
+    const targetSubtasks = indexItems(flattenSubtasks(target), item => item.feature);
+
+    compareLevel(diff.phases, basePhases, targetPhases, PHASE_FIELDS, null);
+    compareLevel(diff.features, baseFeatures, targetFeatures, FEATURE_FIELDS, 'phase');
+    compareLevel(diff.subtasks, baseSubtasks, targetSubtasks, SUBTASK_FIELDS, 'feature');
+
+    return diff;
+}
+
+// Check if a diff has no changes at all
+export function isEmptyDiff(diff) {
+    return Object.values(diff).every(level =>
+        level.added.length === 0 && level.removed.length === 0 && level.changed.length === 0
+    );
+}
+
+// One-line summary, e.g. "+2 features, 1 subtask changed"
+export function summarizeDiff(diff) {
+    if (isEmptyDiff(diff)) return 'No changes';
+
+    const parts = [];
+    const labels = { phases: 'phase', features: 'feature', subtasks: 'subtask' };
+
+    for (const [level, label] of Object.entries(labels)) {
+        const { added, removed, changed } = diff[level];
+        if (added.length) parts.push(`+${added.length} ${pluralize(label, added.length)}`);
+        if (removed.length) parts.push(`−${removed.length} ${pluralize(label, removed.length)}`);
+        if (changed.length) parts.push(`${changed.length} ${pluralize(label, changed.length)} changed`);
+    }
+
+    return parts.join(', ');
+}
+
+// Render a diff as a grouped list
+export function createDiffHTML(diff) {
+    if (isEmptyDiff(diff)) {
+        return '<div class="diff-empty">No structural changes</div>';
+    }
+
+    const labels = { phases: 'Phases', features: 'Features', subtasks: 'Subtasks' };
+
+    return Object.entries(labels).map(([level, label]) => {
+        const { added, removed, changed } = diff[level];
+        if (!added.length && !removed.length && !changed.length) return '';
+
+        return `
+            <div class="diff-group">
+                <div class="diff-group-label">${label}</div>
+                ${added.map(entry => `
+                    <div class="diff-entry added">+ ${sanitizeHTML(itemLabel(entry.item))}</div>
+                `).join('')}
+                ${removed.map(entry => `
+                    <div class="diff-entry removed">− ${sanitizeHTML(itemLabel(entry.item))}</div>
+                `).join('')}
+                ${changed.map(entry => `
+                    <div class="diff-entry changed">
+                        ~ ${sanitizeHTML(itemLabel(entry.item))}
+                        <span class="diff-fields">${entry.fields.join(', ')}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+// ==================== Helpers ====================
+
+function flattenFeatures(project) {
+    const items = [];
+    for (const phase of project?.phases || []) {
+        for (const feature of phase.features || []) {
+            items.push({ ...feature, phase: phase.id });
+        }
+    }
+    return items;
+}
+
+function flattenSubtasks(project) {
+    const items = [];
+    for (const phase of project?.phases || []) {
+        for (const feature of phase.features || []) {
+            for (const subtask of feature.subtasks || []) {
+                items.push({ ...subtask, feature: feature.id });
+            }
+        }
+    }
+    return items;
+}
+
+function indexItems(items, getParent) {
+    const map = new Map();
+    items.forEach(item => map.set(item.id, { item, parent: getParent(item) }));
+    return map;
+}
+
+function compareLevel(result, baseMap, targetMap, fields, parentField) {
+    for (const [id, { item }] of targetMap) {
+        if (!baseMap.has(id)) {
+            result.added.push({ id, item });
+        }
+    }
+
+    for (const [id, { item, parent }] of baseMap) {
+        const target = targetMap.get(id);
+        if (!target) {
+            result.removed.push({ id, item });
+            continue;
+        }
+
+        const changedFields = fields.filter(field => !isEqual(item[field], target.item[field]));
+        if (parentField && parent !== target.parent) {
+            changedFields.push('moved');
+        }
+
+        if (changedFields.length > 0) {
+            result.changed.push({ id, item: target.item, before: item, fields: changedFields });
+        }
+    }
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function itemLabel(item) {
+    return item.name || item.description || item.id;
+}
+
+function pluralize(word, count) {
+    return count === 1 ? word : `${word}s`;
+}
@@ -0,0 +1,79 @@
+/**
+ * Gist Import Preview Module
+ * Shows what a Gist contains before it is imported
+ */
+
+import { sanitizeHTML, formatDate, getProjectStats } from './utils.js';
+
+// Show the preview dialog for a fetched Gist (see fetchGist)
+// linkedProject is the local project already linked to this Gist, if any
+// Resolves with 'link' (keep IDs and sync with the Gist), 'copy' (new IDs, unlinked) or null
+export function previewGistImport(remote, linkedProject = null) {
+    return new Promise((resolve) => {
+        const project = remote.project;
+        const stats = getProjectStats(project);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal gist-import-modal">
+                <div class="modal-header">
+                    <h2>Import from Gist</h2>
+                    <button class="modal-close" data-action="cancel">×</button>
+                </div>
+                <div class="modal-body">
+                    <h3 class="gist-import-name">${sanitizeHTML(project.name || 'Untitled project')}</h3>
+                    <p class="settings-description">${sanitizeHTML(project.goal || 'No goal set')}</p>
+                    <div class="gist-import-stats">
+                        <span>${stats.phases} phases</span>
+                        <span>${stats.features} features (${stats.completedFeatures} complete)</span>
+                        <span>${stats.subtasks} subtasks</span>
+                        <span>Updated ${formatDate(remote.updated_at)}</span>
+                    </div>
+                    <ul class="gist-import-phases">
+                        ${project.phases.map(phase => `
+                            <li>
+                                <span>${sanitizeHTML(phase.name)}</span>
+                                <span class="review-hint">${(phase.features || []).length} features</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <p class="settings-hint">
+                        <strong>Link</strong> keeps this project connected to
+                        <a href="${sanitizeHTML(remote.gist_url)}" target="_blank">the Gist</a> so you can sync changes both ways.
+                        <strong>Copy</strong> creates an independent project.
+                    </p>
+                    ${linkedProject ? `
+                        <p class="settings-hint gist-import-linked">
+                            This Gist is already linked to your project
+                            "${sanitizeHTML(linkedProject.name)}". Use Sync Gist there, or import a copy.
+                        </p>
+                    ` : ''}
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button class="btn btn-secondary" data-action="copy">Import as Copy</button>
+                    <button class="btn btn-primary" data-action="link" ${linkedProject ? 'disabled' : ''}>Link to Gist</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        requestAnimationFrame(() => overlay.classList.add('show'));
+
+        const handleAction = (choice) => {
+            overlay.classList.remove('show');
+            setTimeout(() => overlay.remove(), 300);
+            resolve(choice);
+        };
+
+        overlay.querySelectorAll('[data-action="cancel"]').forEach(btn => {
+            btn.addEventListener('click', () => handleAction(null));
+        });
+        overlay.querySelector('[data-action="copy"]').addEventListener('click', () => handleAction('copy'));
+        overlay.querySelector('[data-action="link"]').addEventListener('click', () => handleAction('link'));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) handleAction(null);
+        });
+    });
+}
@@ -0,0 +1,196 @@
+/**
+ * Gist Revisions Panel
+ * Lists the revisions GitHub keeps of a linked project's Gist, diffs them
+ * against the local project and restores them
+ */
+
+import {
+    getCurrentProject,
+    getProjectContent,
+    setProjectContent,
+    saveProjectVersion,
+    regenerateProjectIds,
+    addProject,
+    autoSave
+} from './storage.js';
+import { fetchGistRevisions, fetchGistRevision } from './gist.js';
+import { diffProjects, summarizeDiff, createDiffHTML } from './diff.js';
+import { showNotification, confirmDialog, formatDate, sanitizeHTML, deepClone, getProjectStats } from './utils.js';
+
+// Open the revisions panel for the current project
+// onRestored is called after a revision has replaced the project content,
+// onCopied with the new project after a revision was restored as a copy
+export async function openGistRevisionsPanel({ onRestored, onCopied }) {
+    const project = getCurrentProject();
+    if (!project) {
+        showNotification({ type: 'warning', message: 'No project selected' });
+        return;
+    }
+
+    if (!project.gist_id) {
+        showNotification({ type: 'warning', message: 'This project is not linked to a Gist yet. Sync it first.' });
+        return;
+    }
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal versions-modal">
+            <div class="modal-header">
+                <h2>Gist History</h2>
+                <button class="modal-close" data-action="close">×</button>
+            </div>
+            <div class="modal-body">
+                <p class="settings-description">
+                    Every sync to <a href="${sanitizeHTML(project.gist_url || '')}" target="_blank">the Gist</a>
+                    is kept as a revision by GitHub.
+                </p>
+                <div class="versions-list">
+                    <div class="versions-empty">Loading revisions...</div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => overlay.classList.add('show'));
+
+    const close = () => {
+        overlay.classList.remove('show');
+        setTimeout(() => overlay.remove(), 300);
+    };
+
+    overlay.querySelector('[data-action="close"]').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+
+    const list = overlay.querySelector('.versions-list');
+
+    let revisions;
+    try {
+        revisions = await fetchGistRevisions(project.gist_id);
+    } catch (error) {
+        console.error('Failed to load Gist revisions:', error);
+        list.innerHTML = `<div class="versions-empty">${sanitizeHTML(error.message)}</div>`;
+        return;
+    }
+
+    if (revisions.length === 0) {
+        list.innerHTML = '<div class="versions-empty">No revisions found</div>';
+        return;
+    }
+
+    list.innerHTML = revisions.map((revision, index) => `
+        <div class="version-row" data-version="${revision.version}">
+            <div class="version-info">
+                <span class="version-label">
+                    ${index === 0 ? 'Latest' : `Revision ${revisions.length - index}`}
+                    <code class="revision-sha">${revision.version.slice(0, 7)}</code>
+                </span>
+                <span class="version-date">
+                    ${formatDate(revision.committed_at)}${revision.user ? ` by ${sanitizeHTML(revision.user)}` : ''}
+                </span>
+                <span class="version-summary">+${revision.additions} −${revision.deletions} lines</span>
+            </div>
+            <div class="version-actions">
+                <button class="btn btn-secondary btn-small" data-action="details">Details</button>
+                <button class="btn btn-primary btn-small" data-action="restore">Restore</button>
+                <button class="btn btn-secondary btn-small" data-action="copy">As New Project</button>
+            </div>
+            <div class="version-diff" hidden></div>
+        </div>
+    `).join('');
+
+    // Revisions are downloaded on first use and kept for the life of the panel
+    const loaded = new Map();
+    const loadRevision = async (version) => {
+        if (!loaded.has(version)) {
+            loaded.set(version, fetchGistRevision(project.gist_id, version).catch(error => {
+                loaded.delete(version);
+                throw error;
+            }));
+        }
+        return loaded.get(version);
+    };
+
+    list.querySelectorAll('.version-row').forEach(row => {
+        const version = row.dataset.version;
+        const revision = revisions.find(r => r.version === version);
+
+        row.querySelector('[data-action="details"]').addEventListener('click', async () => {
+            const detailsEl = row.querySelector('.version-diff');
+            if (!detailsEl.hidden) {
+                detailsEl.hidden = true;
+                return;
+            }
+
+            detailsEl.hidden = false;
+            detailsEl.innerHTML = '<div class="versions-empty">Loading revision...</div>';
+
+            try {
+                const { project: revisionProject } = await loadRevision(version);
+                detailsEl.innerHTML = createRevisionDetailsHTML(revisionProject, project);
+            } catch (error) {
+                console.error('Failed to load Gist revision:', error);
+                detailsEl.innerHTML = `<div class="versions-empty">${sanitizeHTML(error.message)}</div>`;
+            }
+        });
+
+        row.querySelector('[data-action="restore"]').addEventListener('click', async () => {
+            const confirmed = await confirmDialog(
+                `Replace the current project with the revision from ${formatDate(revision.committed_at)}? ` +
+                'The current state is saved as a snapshot first.',
+                'Restore Revision'
+            );
+            if (!confirmed) return;
+
+            try {
+                const { project: revisionProject } = await loadRevision(version);
+                await saveProjectVersion(project, 'Before restoring Gist revision');
+                setProjectContent(project, getProjectContent(revisionProject));
+                autoSave();
+                close();
+                if (onRestored) onRestored(project);
+                showNotification({ type: 'success', message: 'Revision restored. Sync to make it the latest Gist version.' });
+            } catch (error) {
+                console.error('Failed to restore Gist revision:', error);
+                showNotification({ type: 'error', message: `Failed to restore revision: ${error.message}` });
+            }
+        });
+
+        row.querySelector('[data-action="copy"]').addEventListener('click', async () => {
+            try {
+                const { project: revisionProject } = await loadRevision(version);
+
+                const copy = regenerateProjectIds(deepClone(revisionProject));
+                copy.name = `${copy.name} (${formatDate(revision.committed_at)})`;
+
+                await addProject(copy);
+                await saveProjectVersion(copy, `Restored from Gist revision ${version.slice(0, 7)}`);
+                close();
+                if (onCopied) await onCopied(copy);
+                showNotification({ type: 'success', message: `Created "${copy.name}"` });
+            } catch (error) {
+                console.error('Failed to copy Gist revision:', error);
+                showNotification({ type: 'error', message: `Failed to create project: ${error.message}` });
+            }
+        });
+    });
+}
+
+// Progress of a revision and what changed from it to the local project
+function createRevisionDetailsHTML(revisionProject, project) {
+    const stats = getProjectStats(revisionProject);
+    const diff = diffProjects(revisionProject, project);
+
+    return `
+        <div class="revision-stats">
+            <span>${stats.phases} phases</span>
+            <span>${stats.completedFeatures}/${stats.features} features complete (${stats.percentage}%)</span>
+            <span>${stats.completedSubtasks}/${stats.subtasks} subtasks done</span>
+        </div>
+        <div class="version-summary">Local project since then: ${summarizeDiff(diff)}</div>
+        ${createDiffHTML(diff)}
+    `;
+}
@@ -2,8 +2,9 @@
  * GitHub Gist Sync Module
  */
 
-import { getSetting, setSetting } from './storage.js';
+import { getSetting, setSetting, getProjectContent, normalizeProjectData } from './storage.js';
 import { showNotification } from './utils.js';
+import { encodeSecret, decodeSecret } from './vault.js';
 
 // Get stored GitHub token
 export async function getGithubToken() {
@@ -12,7 +13,7 @@ export async function getGithubToken() {
 
 // Save GitHub token
 export async function saveGithubToken(token) {
-    await setSetting('github_token', btoa(token));
+    await setSetting('github_token', await encodeSecret(token));
 }
 
 // Check if GitHub token exists
@@ -21,11 +22,9 @@ export async function hasGithubToken() {
     return !!token;
 }
 
-// Get decoded token
+// Get decoded token; throws VaultLockedError while the vault is locked
 async function getDecodedToken() {
-    const encoded = await getSetting('github_token');
-    if (!encoded) return null;
-    return atob(encoded);
+    return await decodeSecret(await getSetting('github_token'));
 }
 
 // Create a new Gist
@@ -62,6 +61,7 @@ export async function createGist(project) {
             }
         })
     });
+    trackRateLimit(response);
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({}));
@@ -73,12 +73,14 @@ export async function createGist(project) {
     return {
         gist_id: gist.id,
         gist_url: gist.html_url,
-        last_synced: Date.now()
+        last_synced: Date.parse(gist.updated_at) || Date.now()
     };
 }
 
 // Update an existing Gist
-export async function updateGist(project) {
+// previousFilename is the project file currently in the Gist; it is removed
+// if the project was renamed so the Gist doesn't end up with two project files
+export async function updateGist(project, previousFilename = null) {
     const token = await getDecodedToken();
 
     if (!token) {
@@ -100,6 +102,17 @@ export async function updateGist(project) {
         }
     }, null, 2);
 
+    const filename = `${sanitizeFilename(project.name)}.json`;
+    const files = {
+        [filename]: {
+            content: content
+        }
+    };
+
+    if (previousFilename && previousFilename !== filename) {
+        files[previousFilename] = null;
+    }
+
     const response = await fetch(`https://api.github.com/gists/${project.gist_id}`, {
         method: 'PATCH',
         headers: {
@@ -108,26 +121,56 @@ export async function updateGist(project) {
         },
         body: JSON.stringify({
             description: `App Dev Manager: ${project.name}`,
-            files: {
-                [`${sanitizeFilename(project.name)}.json`]: {
-                    content: content
-                }
-            }
+            files
         })
     });
+    trackRateLimit(response);
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({}));
         throw new Error(`Failed to update Gist: ${error.message || response.statusText}`);
     }
 
+    const gist = await response.json();
+
     return {
-        last_synced: Date.now()
+        last_synced: Date.parse(gist.updated_at) || Date.now()
     };
 }
 
-// Fetch a Gist by ID
-export async function fetchGist(gistId) {
+// Remaining GitHub API requests, from the headers of the last response
+const rateLimit = {
+    remaining: null,
+    resetAt: null
+};
+
+// Record the rate limit headers of a GitHub API response
+function trackRateLimit(response) {
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const reset = response.headers.get('x-ratelimit-reset');
+
+    if (remaining !== null) {
+        rateLimit.remaining = Number(remaining);
+    }
+    if (reset !== null) {
+        rateLimit.resetAt = Number(reset) * 1000;
+    }
+
+    // Secondary rate limits say how long to wait instead
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter !== null && (response.status === 403 || response.status === 429)) {
+        rateLimit.remaining = 0;
+        rateLimit.resetAt = Date.now() + Number(retryAfter) * 1000;
+    }
+}
+
+// Get the last known rate limit: { remaining, resetAt } (null until a request was made)
+export function getRateLimit() {
+    return { ...rateLimit };
+}
+
+// Headers for GitHub API requests, authenticated if a token is set
+async function getGithubHeaders() {
     const token = await getDecodedToken();
 
     const headers = {
@@ -138,10 +181,16 @@ export async function fetchGist(gistId) {
         headers['Authorization'] = `token ${token}`;
     }
 
+    return headers;
+}
+
+// Fetch a Gist by ID
+export async function fetchGist(gistId) {
     const response = await fetch(`https://api.github.com/gists/${gistId}`, {
         method: 'GET',
-        headers
+        headers: await getGithubHeaders()
     });
+    trackRateLimit(response);
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({}));
@@ -149,6 +198,65 @@ export async function fetchGist(gistId) {
     }
 
     const gist = await response.json();
+    const { project, filename } = await readGistProject(gist);
+
+    return {
+        project,
+        gist_id: gist.id,
+        gist_url: gist.html_url,
+        filename,
+        updated_at: Date.parse(gist.updated_at)
+    };
+}
+
+// Fetch the revision history of a Gist, newest first
+export async function fetchGistRevisions(gistId) {
+    const response = await fetch(`https://api.github.com/gists/${gistId}/commits?per_page=100`, {
+        method: 'GET',
+        headers: await getGithubHeaders()
+    });
+    trackRateLimit(response);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`Failed to fetch Gist history: ${error.message || response.statusText}`);
+    }
+
+    const commits = await response.json();
+
+    return commits.map(commit => ({
+        version: commit.version,
+        committed_at: Date.parse(commit.committed_at),
+        user: commit.user?.login || null,
+        additions: commit.change_status?.additions || 0,
+        deletions: commit.change_status?.deletions || 0
+    }));
+}
+
+// Fetch the project as it was at one Gist revision
+export async function fetchGistRevision(gistId, version) {
+    const response = await fetch(`https://api.github.com/gists/${gistId}/${version}`, {
+        method: 'GET',
+        headers: await getGithubHeaders()
+    });
+    trackRateLimit(response);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`Failed to fetch Gist revision: ${error.message || response.statusText}`);
+    }
+
+    const gist = await response.json();
+    const { project } = await readGistProject(gist);
+
+    return { project, version };
+}
+
+// Find and parse the project file in a Gist API response
+async function readGistProject(gist) {
+    if (gist.files[WORKSPACE_MANIFEST]) {
+        throw new Error('This is a workspace Gist. Restore it from Settings instead.');
+    }
 
     // Find the project JSON file
     const files = Object.values(gist.files);
@@ -158,16 +266,218 @@ export async function fetchGist(gistId) {
         throw new Error('No project file found in Gist');
     }
 
-    // Parse the content
-    const data = JSON.parse(projectFile.content);
+    const data = await readGistJSON(projectFile);
+
+    if (!data.project || !Array.isArray(data.project.phases)) {
+        throw new Error('The Gist does not contain an App Dev Manager project');
+    }
+
+    return { project: normalizeProjectData(data.project), filename: projectFile.filename };
+}
+
+// Read and parse a JSON file from a Gist API response
+export async function readGistJSON(file) {
+    // The API cuts off large files; the full content is at raw_url
+    let content = file.content;
+    if (file.truncated) {
+        const response = await fetch(file.raw_url);
+        if (!response.ok) {
+            throw new Error(`Failed to download ${file.filename}: ${response.statusText}`);
+        }
+        content = await response.text();
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`${file.filename} in the Gist is not valid JSON`);
+    }
+}
+
+// ==================== Workspace Gist ====================
+
+// Manifest file that marks a Gist as a whole workspace
+export const WORKSPACE_MANIFEST = 'manifest.json';
+
+// Create the workspace Gist with the given files ({ filename: content })
+export async function createWorkspaceGist(files) {
+    const token = await getDecodedToken();
+
+    if (!token) {
+        throw new Error('GitHub token not set');
+    }
+
+    const response = await fetch('https://api.github.com/gists', {
+        method: 'POST',
+        headers: await getGithubHeaders(),
+        body: JSON.stringify({
+            description: 'App Dev Manager workspace',
+            public: false,
+            files: toGistFiles(files)
+        })
+    });
+    trackRateLimit(response);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`Failed to create workspace Gist: ${error.message || response.statusText}`);
+    }
+
+    const gist = await response.json();
 
     return {
-        project: data.project,
         gist_id: gist.id,
         gist_url: gist.html_url
     };
 }
 
+// Replace the files of the workspace Gist; a null content deletes the file
+export async function updateWorkspaceGist(gistId, files) {
+    const token = await getDecodedToken();
+
+    if (!token) {
+        throw new Error('GitHub token not set');
+    }
+
+    const response = await fetch(`https://api.github.com/gists/${gistId}`, {
+        method: 'PATCH',
+        headers: await getGithubHeaders(),
+        body: JSON.stringify({
+            files: toGistFiles(files)
+        })
+    });
+    trackRateLimit(response);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`Failed to update workspace Gist: ${error.message || response.statusText}`);
+    }
+
+    const gist = await response.json();
+
+    return {
+        gist_id: gist.id,
+        gist_url: gist.html_url
+    };
+}
+
+// Fetch the workspace Gist; file contents are read with readGistJSON
+export async function fetchWorkspaceGist(gistId) {
+    const response = await fetch(`https://api.github.com/gists/${gistId}`, {
+        method: 'GET',
+        headers: await getGithubHeaders()
+    });
+    trackRateLimit(response);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(`Failed to fetch workspace Gist: ${error.message || response.statusText}`);
+    }
+
+    const gist = await response.json();
+
+    if (!gist.files[WORKSPACE_MANIFEST]) {
+        throw new Error('This Gist is not an App Dev Manager workspace');
+    }
+
+    return {
+        gist_id: gist.id,
+        gist_url: gist.html_url,
+        updated_at: Date.parse(gist.updated_at),
+        files: gist.files
+    };
+}
+
+function toGistFiles(files) {
+    const gistFiles = {};
+    Object.entries(files).forEach(([filename, content]) => {
+        gistFiles[filename] = content === null ? null : { content };
+    });
+    return gistFiles;
+}
+
+// Get a Gist ID from a Gist URL (gist.github.com, raw or API) or a bare ID
+// Returns null if the input doesn't look like either
+export function parseGistReference(input) {
+    const value = (input || '').trim();
+    if (!value) return null;
+
+    if (/^[0-9a-f]{5,}$/i.test(value)) {
+        return value;
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return null;
+    }
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    let id = null;
+
+    if (url.hostname === 'api.github.com' && segments[0] === 'gists') {
+        id = segments[1];
+    } else if (url.hostname === 'gist.github.com') {
+        // /<user>/<id> or /<id>
+        id = segments.length === 1 ? segments[0] : segments[1];
+    } else if (url.hostname === 'gist.githubusercontent.com') {
+        // /<user>/<id>/raw/...
+        id = segments[1];
+    }
+
+    return id && /^[0-9a-f]{5,}$/i.test(id) ? id : null;
+}
+
+// ==================== Two-way Sync ====================
+
+// Get the project content as it was at the last sync from this device
+export async function getSyncBase(projectId) {
+    return await getSetting(`sync_base_${projectId}`) || null;
+}
+
+// Remember the content both sides agree on after a sync
+export async function saveSyncBase(projectId, content) {
+    await setSetting(`sync_base_${projectId}`, content);
+}
+
+// Work out what a sync has to do: 'up_to_date', 'push', 'pull' or 'merge'
+// Changes are found by comparing both sides with the last synced content;
+// without one (first sync from this device) the timestamps are compared instead
+export function getSyncAction(project, remote, base) {
+    const lastSynced = project.last_synced || 0;
+    const remoteContent = getProjectContent(remote.project);
+
+    const localChanged = base
+        ? !isSameContent(getProjectContent(project), base)
+        : project.modified > lastSynced;
+
+    // The Gist can't have changed if it hasn't been updated since we last synced
+    const remoteChanged = remote.updated_at > lastSynced && (base
+        ? !isSameContent(remoteContent, base)
+        : !isSameContent(remoteContent, getProjectContent(project)));
+
+    if (localChanged && remoteChanged) return 'merge';
+    if (remoteChanged) return 'pull';
+    if (localChanged) return 'push';
+    return 'up_to_date';
+}
+
+// Check whether a linked project changed since its last sync from this device
+export async function hasUnsyncedChanges(project) {
+    const base = await getSyncBase(project.id);
+    if (!base) {
+        return project.modified > (project.last_synced || 0);
+    }
+    return !isSameContent(getProjectContent(project), base);
+}
+
+// Compare content, ignoring collapsed state
+function isSameContent(a, b) {
+    const key = (content) => JSON.stringify(content, (k, value) => k === 'collapsed' ? undefined : value);
+    return key(a) === key(b);
+}
+
 // Sync project to Gist (create or update)
 export async function syncToGist(project) {
     try {
@@ -204,19 +514,114 @@ export async function syncToGist(project) {
     }
 }
 
-// Validate GitHub token
+// Validate a GitHub token and check it can read and write Gists
+// Returns { valid, login, scopes, expiresAt, error }
+// Classic tokens list their scopes in X-OAuth-Scopes; fine-grained tokens don't,
+// so for those a Gist write is attempted that GitHub is sure to reject
 export async function validateGithubToken(token) {
+    const headers = {
+        'Authorization': `token ${token}`
+    };
+
+    let response;
     try {
-        const response = await fetch('https://api.github.com/user', {
-            headers: {
-                'Authorization': `token ${token}`
-            }
-        });
+        response = await fetch('https://api.github.com/user', { headers });
+    } catch (error) {
+        return { valid: false, error: `Could not reach GitHub: ${error.message}` };
+    }
+
+    if (!response.ok) {
+        return {
+            valid: false,
+            error: response.status === 401 ? 'GitHub rejected the token' : `GitHub returned ${response.status}`
+        };
+    }
+
+    const user = await response.json();
+    const scopesHeader = response.headers.get('x-oauth-scopes');
+    const scopes = scopesHeader === null
+        ? null
+        : scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+    const expiresAt = parseTokenExpiry(response.headers.get('github-authentication-token-expiration'));
+
+    const result = { valid: true, login: user.login, scopes, expiresAt, error: null };
+
+    if (scopes) {
+        if (!scopes.includes('gist')) {
+            return {
+                ...result,
+                valid: false,
+                error: `The token is missing the "gist" scope (it has: ${scopes.join(', ') || 'no scopes'})`
+            };
+        }
+        return result;
+    }
 
-        return response.ok;
+    // Fine-grained token: creating a Gist without files fails validation (422) only
+    // once the token is allowed to write Gists; without the permission it's a 403
+    // naming the missing permission in X-Accepted-GitHub-Permissions
+    let probe;
+    try {
+        probe = await fetch('https://api.github.com/gists', {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ description: 'Token check', public: false, files: {} })
+        });
     } catch (error) {
-        return false;
+        return { ...result, valid: false, error: `Could not reach GitHub: ${error.message}` };
+    }
+
+    if (probe.status === 422) {
+        return result;
+    }
+
+    if (probe.status === 401 || probe.status === 403 || probe.status === 404) {
+        return {
+            ...result,
+            valid: false,
+            error: 'The token cannot write Gists. Grant it the "Gists" account permission with read and write access.'
+        };
+    }
+
+    return { ...result, valid: false, error: `Could not check Gist access: GitHub returned ${probe.status}` };
+}
+
+// Validate the stored token again and remember the account it belongs to
+export async function checkGithubToken() {
+    const token = await getDecodedToken();
+    if (!token) return null;
+
+    const result = await validateGithubToken(token);
+    if (result.login) {
+        await saveGithubAccount(result);
     }
+    return result;
+}
+
+// Get the account of the stored token: { login, scopes, expires_at, checked_at }
+export async function getGithubAccount() {
+    return await getSetting('github_account') || null;
+}
+
+// Remember the account details from validateGithubToken
+export async function saveGithubAccount(result) {
+    await setSetting('github_account', {
+        login: result.login,
+        scopes: result.scopes,
+        expires_at: result.expiresAt,
+        checked_at: Date.now()
+    });
+}
+
+// Parse the expiry header, e.g. "2026-11-01 00:00:00 UTC"; null for tokens that don't expire
+function parseTokenExpiry(value) {
+    if (!value) return null;
+
+    const iso = value.trim()
+        .replace(/^(\S+) (\S+) UTC$/, '$1T$2Z')
+        .replace(/^(\S+) (\S+) ([+-]\d{2})(\d{2})$/, '$1T$2$3:$4');
+    const time = Date.parse(iso);
+    return Number.isNaN(time) ? null : time;
 }
 
 // Sanitize filename
@@ -0,0 +1,149 @@
+/**
+ * Undo/Redo History Module
+ * Records a snapshot of the current project every time it changes
+ */
+
+import { getCurrentProject, onProjectChange, autoSave, CONTENT_FIELDS } from './storage.js';
+import { deepClone } from './utils.js';
+
+// Fields that change the snapshot but don't deserve their own undo step
+const IGNORED_KEYS = ['collapsed'];
+
+const MAX_HISTORY = 50;
+const STORAGE_PREFIX = 'app-dev-manager:history:';
+
+let projectId = null;
+let undoStack = [];
+let redoStack = [];
+let currentSnapshot = null;
+let currentKey = null;
+// currentSnapshot as JSON, view-only fields included
+let currentJSON = null;
+
+// Start recording changes to the current project
+export function initHistory() {
+    onProjectChange(recordChange);
+}
+
+// Load (or start) the history for a newly opened project
+export function loadHistory(project) {
+    projectId = project.id;
+    currentJSON = serializeContent(project);
+    currentSnapshot = JSON.parse(currentJSON);
+    currentKey = snapshotKey(currentSnapshot);
+    undoStack = [];
+    redoStack = [];
+
+    // History survives a reload for the rest of the browser session
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(STORAGE_PREFIX + project.id));
+        if (saved) {
+            undoStack = saved.undo || [];
+            // Redo only makes sense if the project is still where we left it
+            if (saved.currentKey === currentKey) {
+                redoStack = saved.redo || [];
+            }
+        }
+    } catch (error) {
+        console.warn('Failed to restore undo history:', error);
+    }
+}
+
+// Undo the last change. Returns false if there is nothing to undo.
+export function undo() {
+    if (undoStack.length === 0) return false;
+
+    redoStack.push(currentSnapshot);
+    applySnapshot(undoStack.pop());
+    return true;
+}
+
+// Redo the last undone change. Returns false if there is nothing to redo.
+export function redo() {
+    if (redoStack.length === 0) return false;
+
+    undoStack.push(currentSnapshot);
+    applySnapshot(redoStack.pop());
+    return true;
+}
+
+// Change listener: push the previous state when the project really changed
+function recordChange(project) {
+    if (project.id !== projectId) {
+        loadHistory(project);
+        return;
+    }
+
+    // Only view or sync state changed (pan, zoom, sync status): nothing to record or copy
+    const json = serializeContent(project);
+    if (json === currentJSON) return;
+
+    const snapshot = JSON.parse(json);
+    const key = snapshotKey(snapshot);
+
+    if (key !== currentKey) {
+        undoStack.push(currentSnapshot);
+        if (undoStack.length > MAX_HISTORY) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        currentKey = key;
+    }
+
+    // Keep view-only fields current so undo doesn't revert them
+    currentSnapshot = snapshot;
+    currentJSON = json;
+    persistHistory();
+}
+
+function applySnapshot(snapshot) {
+    const project = getCurrentProject();
+    if (!project) return;
+
+    CONTENT_FIELDS.forEach(field => {
+        project[field] = deepClone(snapshot[field]);
+    });
+
+    currentSnapshot = snapshot;
+    currentKey = snapshotKey(snapshot);
+    currentJSON = serializeContent(project);
+    persistHistory();
+
+    // Save without recording: the snapshot already matches the project
+    autoSave();
+}
+
+// The content fields of a project as JSON; parsing it gives a snapshot
+function serializeContent(project) {
+    const content = {};
+    CONTENT_FIELDS.forEach(field => {
+        content[field] = project[field] ?? null;
+    });
+    return JSON.stringify(content);
+}
+
+function snapshotKey(snapshot) {
+    return JSON.stringify(snapshot, (key, value) => IGNORED_KEYS.includes(key) ? undefined : value);
+}
+
+function persistHistory() {
+    if (!projectId) return;
+
+    const write = () => sessionStorage.setItem(STORAGE_PREFIX + projectId, JSON.stringify({
+        undo: undoStack,
+        redo: redoStack,
+        currentKey
+    }));
+
+    try {
+        write();
+    } catch (error) {
+        // Storage full: drop the oldest half of the history and try once more
+        undoStack = undoStack.slice(Math.floor(undoStack.length / 2));
+        try {
+            write();
+        } catch (retryError) {
+            console.warn('Failed to persist undo history:', retryError);
+        }
+    }
+}
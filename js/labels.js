@@ -0,0 +1,136 @@
+/**
+ * Labels Module
+ * Priority (P0–P3), free-form tags and assignees on features and subtasks.
+ * Labels are edited as one line of text, e.g. "P1 #frontend #auth @sam".
+ */
+
+import { sanitizeHTML } from './utils.js';
+
+export const PRIORITIES = [
+    { id: 'P0', label: 'P0 · Urgent', color: '#EF4444' },
+    { id: 'P1', label: 'P1 · High', color: '#F59E0B' },
+    { id: 'P2', label: 'P2 · Medium', color: '#3B82F6' },
+    { id: 'P3', label: 'P3 · Low', color: '#94A3B8' }
+];
+
+export function getPriority(priorityId) {
+    return PRIORITIES.find(priority => priority.id === priorityId) || null;
+}
+
+// Sort key: P0 first, items without a priority last
+export function getPriorityRank(item) {
+    const index = PRIORITIES.findIndex(priority => priority.id === item.priority);
+    return index === -1 ? PRIORITIES.length : index;
+}
+
+// An item's labels; items from before labels existed have none
+export function getLabels(item) {
+    return {
+        priority: getPriority(item.priority)?.id || null,
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        assignees: Array.isArray(item.assignees) ? item.assignees : []
+    };
+}
+
+export function hasLabels(item) {
+    const { priority, tags, assignees } = getLabels(item);
+    return !!priority || tags.length > 0 || assignees.length > 0;
+}
+
+export function setLabels(item, { priority = null, tags = [], assignees = [] }) {
+    item.priority = getPriority(priority)?.id || null;
+    item.tags = uniqueNames(tags);
+    item.assignees = uniqueNames(assignees);
+}
+
+// Copy the labels of one item to another
+export function copyLabels(from, to) {
+    const { priority, tags, assignees } = getLabels(from);
+    setLabels(to, { priority, tags: [...tags], assignees: [...assignees] });
+}
+
+// Give a regenerated feature the labels of the feature it replaces,
+// and its subtasks those of subtasks with the same description
+export function carryOverLabels(from, to) {
+    copyLabels(from, to);
+
+    const previous = new Map((from.subtasks || []).map(subtask => [subtask.description.toLowerCase(), subtask]));
+    (to.subtasks || []).forEach(subtask => {
+        const match = previous.get(subtask.description.toLowerCase());
+        if (match) copyLabels(match, subtask);
+    });
+}
+
+// ==================== Text Form ====================
+
+// Labels as editable text, e.g. "P1 #frontend @sam"
+export function formatLabels(item) {
+    const { priority, tags, assignees } = getLabels(item);
+    return [
+        ...(priority ? [priority] : []),
+        ...tags.map(tag => `#${tag}`),
+        ...assignees.map(name => `@${name}`)
+    ].join(' ');
+}
+
+// Parse text written like formatLabels' output; words without # or @ count as tags
+export function parseLabels(text) {
+    const labels = { priority: null, tags: [], assignees: [] };
+
+    String(text || '').split(/[\s,]+/).filter(Boolean).forEach(word => {
+        const priority = getPriority(word.toUpperCase());
+        if (priority) {
+            labels.priority = priority.id;
+        } else if (word.startsWith('@')) {
+            labels.assignees.push(word.slice(1));
+        } else {
+            labels.tags.push(word.replace(/^#/, ''));
+        }
+    });
+
+    return labels;
+}
+
+// Drop empty names and case-insensitive duplicates
+function uniqueNames(names) {
+    const seen = new Set();
+    return names
+        .map(name => String(name).trim())
+        .filter(name => {
+            const key = name.toLowerCase();
+            if (!name || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// ==================== Display ====================
+
+// Badges for an item's labels. With a type ('feature' or 'subtask') the
+// priority badge is a button for changing it, else it is display only.
+export function createLabelBadgesHTML(item, type = null) {
+    const { priority, tags, assignees } = getLabels(item);
+    const info = getPriority(priority);
+
+    return `
+        ${info && type ? `
+            <button class="priority-badge" data-label-type="${type}" data-label-id="${item.id}"
+                    style="--priority-color: ${info.color};" title="${info.label}">${info.id}</button>
+        ` : ''}
+        ${info && !type ? `
+            <span class="priority-badge" style="--priority-color: ${info.color};" title="${info.label}">${info.id}</span>
+        ` : ''}
+        ${tags.map(tag => `<span class="tag-chip">#${sanitizeHTML(tag)}</span>`).join('')}
+        ${assignees.map(name => `<span class="assignee-chip" title="Assignee">@${sanitizeHTML(name)}</span>`).join('')}
+    `;
+}
+
+// The labels that are set, for the AI prompt
+export function describeLabels(item) {
+    const { priority, tags, assignees } = getLabels(item);
+    return {
+        ...(priority ? { priority } : {}),
+        ...(tags.length > 0 ? { tags } : {}),
+        ...(assignees.length > 0 ? { assignees } : {})
+    };
+}
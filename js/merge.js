@@ -0,0 +1,437 @@
+/**
+ * Three-Way Merge Module
+ * Merges two edited copies of a project against their common base,
+ * matching phases, features and subtasks by ID
+ */
+
+import { deepClone } from './utils.js';
+import { normalizeCustomStatuses } from './statuses.js';
+
+// Fields merged at each level; a change on both sides to different values is a conflict
+const PROJECT_FIELDS_SKIP = ['phases'];
+const PHASE_FIELDS = ['name', 'description', 'start_date', 'due_date', 'estimate_days'];
+const FEATURE_FIELDS = [
+    'name', 'description', 'status', 'marked_as', 'phase_id',
+    'start_date', 'due_date', 'estimate_days', 'priority', 'tags', 'assignees'
+];
+const SUBTASK_FIELDS = ['description', 'completed', 'priority', 'tags', 'assignees'];
+
+// View state: whichever side changed it wins, never a conflict
+const SOFT_FIELDS = ['collapsed', 'position'];
+
+// Value of a field on items saved before the field existed (null if not listed)
+const FIELD_DEFAULTS = { tags: [], assignees: [] };
+
+// Merge local and remote project content ({ name, goal, phases, ... }) against base
+// base may be null if the two copies were never synced from here; then only
+// additions can be detected and every difference is a conflict
+// resolutions maps conflict keys to 'local' or 'remote' (default 'local')
+// Returns { merged, conflicts }
+export function mergeProjects(base, local, remote, resolutions = {}) {
+    const conflicts = [];
+    const context = { conflicts, resolutions };
+    const merged = {};
+
+    // Top-level fields (name, goal, ...)
+    const fields = new Set([...Object.keys(local || {}), ...Object.keys(remote || {})]);
+    for (const field of fields) {
+        if (PROJECT_FIELDS_SKIP.includes(field)) continue;
+        merged[field] = mergeField(context, {
+            key: `project:${field}`,
+            label: `Project ${field}`,
+            base: base?.[field],
+            local: local?.[field],
+            remote: remote?.[field]
+        });
+    }
+
+    merged.phases = mergePhases(context, base, local, remote);
+
+    // Picking statuses field by field can't produce a malformed list, but either side may hold one
+    if (merged.custom_statuses) {
+        merged.custom_statuses = normalizeCustomStatuses(merged.custom_statuses);
+    }
+
+    return { merged, conflicts };
+}
+
+// ==================== Levels ====================
+
+function mergePhases(context, base, local, remote) {
+    const sides = {
+        base: indexSide(base),
+        local: indexSide(local),
+        remote: indexSide(remote)
+    };
+
+    // Conflicts over a feature's phase show phase names rather than IDs
+    context.phaseName = (id) =>
+        (sides.local.phases.get(id) || sides.remote.phases.get(id) || sides.base.phases.get(id))?.name || id;
+
+    // Phases
+    const phaseIds = unionIds(sides, 'phases');
+    const phases = new Map();
+
+    for (const id of phaseIds) {
+        const phase = mergeItem(context, {
+            type: 'phase',
+            id,
+            base: sides.base.phases.get(id),
+            local: sides.local.phases.get(id),
+            remote: sides.remote.phases.get(id),
+            isChanged: (side, item) => isPhaseChanged(sides, side, item),
+            mergeFields: (b, l, r) => mergeFields(context, 'phase', id, l.name || r.name, PHASE_FIELDS, b, l, r)
+        });
+        if (phase) phases.set(id, phase);
+    }
+
+    // Features are merged across phases so moves between phases are kept
+    const featureIds = unionIds(sides, 'features');
+    const features = new Map();
+
+    for (const id of featureIds) {
+        const feature = mergeItem(context, {
+            type: 'feature',
+            id,
+            base: sides.base.features.get(id),
+            local: sides.local.features.get(id),
+            remote: sides.remote.features.get(id),
+            isChanged: (side, item) => isChanged(sides.base.features.get(id), item),
+            mergeFields: (b, l, r) => mergeFeature(context, id, b, l, r)
+        });
+
+        // Features of a deleted phase go with it
+        if (feature && phases.has(feature.phase_id)) {
+            features.set(id, feature);
+        }
+    }
+
+    breakDependencyCycles(context, sides, features);
+
+    // Rebuild the tree in merged order
+    const phaseOrder = mergeOrder(
+        orderOf(base?.phases), orderOf(local?.phases), orderOf(remote?.phases),
+        id => phases.has(id)
+    );
+
+    return phaseOrder.map((phaseId, index) => {
+        const phase = phases.get(phaseId);
+        const inPhase = (snapshot) => orderOf(snapshot?.phases?.find(p => p.id === phaseId)?.features);
+        const featureOrder = mergeOrder(
+            inPhase(base), inPhase(local), inPhase(remote),
+            id => features.get(id)?.phase_id === phaseId
+        );
+
+        // A feature that moved here on one side may only be listed by that side
+        for (const [id, feature] of features) {
+            if (feature.phase_id === phaseId && !featureOrder.includes(id)) {
+                featureOrder.push(id);
+            }
+        }
+
+        return {
+            ...phase,
+            order: index,
+            features: featureOrder.map(id => features.get(id))
+        };
+    });
+}
+
+function mergeFeature(context, id, base, local, remote) {
+    const label = local.name || remote.name;
+    const feature = mergeFields(context, 'feature', id, label, FEATURE_FIELDS, base, local, remote);
+
+    feature.dependencies = mergeSet(base?.dependencies, local.dependencies, remote.dependencies);
+
+    // Subtasks by ID
+    const index = (item) => new Map((item?.subtasks || []).map(s => [s.id, s]));
+    const subtasks = { base: index(base), local: index(local), remote: index(remote) };
+    const merged = new Map();
+
+    for (const subtaskId of new Set([...subtasks.base.keys(), ...subtasks.local.keys(), ...subtasks.remote.keys()])) {
+        const subtask = mergeItem(context, {
+            type: 'subtask',
+            id: subtaskId,
+            base: subtasks.base.get(subtaskId),
+            local: subtasks.local.get(subtaskId),
+            remote: subtasks.remote.get(subtaskId),
+            isChanged: (side, item) => isChanged(subtasks.base.get(subtaskId), item),
+            mergeFields: (b, l, r) =>
+                mergeFields(context, 'subtask', subtaskId, l.description || r.description, SUBTASK_FIELDS, b, l, r)
+        });
+        if (subtask) merged.set(subtaskId, subtask);
+    }
+
+    feature.subtasks = mergeOrder(
+        orderOf(base?.subtasks), orderOf(local.subtasks), orderOf(remote.subtasks),
+        subtaskId => merged.has(subtaskId)
+    ).map(subtaskId => merged.get(subtaskId));
+
+    return feature;
+}
+
+// Links added on each side can close a loop between them (A needs B here,
+// B needs A in the Gist). Keep the links both sides have, then add the rest,
+// the side chosen for a conflict first, dropping any link that closes a loop.
+function breakDependencyCycles(context, sides, features) {
+    const hasLink = (side, id, dep) => !!sides[side].features.get(id)?.dependencies?.includes(dep);
+
+    const links = [];
+    for (const [id, feature] of features) {
+        for (const dep of feature.dependencies) {
+            const inLocal = hasLink('local', id, dep);
+            const inRemote = hasLink('remote', id, dep);
+            const side = inLocal === inRemote ? null : (inLocal ? 'local' : 'remote');
+            links.push({ id, dep, side, key: `dependency:${id}:${dep}` });
+        }
+    }
+
+    const rank = ({ side, key }) => {
+        if (!side) return 0;
+        if (context.resolutions[key] === side) return 1;
+        return side === 'local' ? 2 : 3;
+    };
+    links.sort((a, b) => rank(a) - rank(b));
+
+    const graph = new Map([...features.keys()].map(id => [id, []]));
+    for (const { id, dep, side, key } of links) {
+        if (!dependsOn(graph, dep, id)) {
+            graph.get(id)?.push(dep);
+            continue;
+        }
+
+        const featureName = features.get(id).name;
+        const depName = features.get(dep)?.name || dep;
+        context.conflicts.push({
+            key,
+            type: 'feature',
+            id,
+            field: 'dependencies',
+            label: `Feature "${featureName}" depends on "${depName}" (would create a dependency loop)`,
+            local: side === 'local' ? 'Linked' : 'Not linked',
+            remote: side === 'remote' ? 'Linked' : 'Not linked',
+            // The link was dropped, so the side without it wins
+            choice: side === 'local' ? 'remote' : 'local'
+        });
+    }
+
+    for (const [id, feature] of features) {
+        feature.dependencies = feature.dependencies.filter(dep => graph.get(id).includes(dep));
+    }
+}
+
+// Whether featureId already depends on targetId, directly or through other features
+function dependsOn(graph, featureId, targetId) {
+    const visited = new Set();
+    const stack = [featureId];
+
+    while (stack.length > 0) {
+        const currentId = stack.pop();
+        if (currentId === targetId) return true;
+        if (visited.has(currentId)) continue;
+        visited.add(currentId);
+        stack.push(...(graph.get(currentId) || []));
+    }
+
+    return false;
+}
+
+// ==================== Items ====================
+
+// Merge one item that may exist on any of the three sides
+// Returns the merged item, or null if it ends up deleted
+function mergeItem(context, { type, id, base, local, remote, isChanged, mergeFields }) {
+    if (local && remote) {
+        return mergeFields(base, local, remote);
+    }
+
+    // Added on one side only
+    if (!base) {
+        return deepClone(local || remote);
+    }
+
+    // Deleted on both sides
+    if (!local && !remote) {
+        return null;
+    }
+
+    // Deleted on one side: fine unless the other side changed it
+    const survivorSide = local ? 'local' : 'remote';
+    const survivor = local || remote;
+    if (!isChanged(survivorSide, survivor)) {
+        return null;
+    }
+
+    const key = `${type}:${id}:exists`;
+    const choice = resolve(context, {
+        key,
+        type,
+        id,
+        field: null,
+        label: `${capitalize(type)} "${getItemLabel(survivor)}"`,
+        local: local ? 'Edited' : 'Deleted',
+        remote: remote ? 'Edited' : 'Deleted'
+    });
+
+    return choice === survivorSide ? deepClone(survivor) : null;
+}
+
+// Merge the fields of an item present on both sides
+function mergeFields(context, type, id, label, fields, base, local, remote) {
+    // Unknown fields come from the local copy
+    const merged = { ...deepClone(remote), ...deepClone(local) };
+
+    for (const field of fields) {
+        merged[field] = mergeField(context, {
+            key: `${type}:${id}:${field}`,
+            type,
+            id,
+            field,
+            label: `${capitalize(type)} "${label}" ${field.replace('_', ' ')}`,
+            base: fieldValue(base, field),
+            local: fieldValue(local, field),
+            remote: fieldValue(remote, field)
+        });
+    }
+
+    for (const field of SOFT_FIELDS) {
+        if (!(field in local) && !(field in remote)) continue;
+        const localChanged = !isEqual(base?.[field], local[field]);
+        merged[field] = deepClone(localChanged || !base ? local[field] : remote[field]);
+    }
+
+    return merged;
+}
+
+// Three-way merge of a single value
+function mergeField(context, { key, type = 'project', id = null, field = null, label, base, local, remote }) {
+    if (isEqual(local, remote)) return cloneValue(local);
+    if (base !== undefined && isEqual(base, local)) return cloneValue(remote);
+    if (base !== undefined && isEqual(base, remote)) return cloneValue(local);
+
+    const choice = resolve(context, { key, type, id, field, label, local, remote });
+    return cloneValue(choice === 'remote' ? remote : local);
+}
+
+// Record a conflict and return how it is resolved
+function resolve(context, conflict) {
+    const choice = context.resolutions[conflict.key] || 'local';
+
+    if (conflict.field === 'phase_id') {
+        conflict = {
+            ...conflict,
+            local: context.phaseName(conflict.local),
+            remote: context.phaseName(conflict.remote)
+        };
+    }
+
+    context.conflicts.push({ ...conflict, choice });
+    return choice;
+}
+
+// ==================== Helpers ====================
+
+// Index a snapshot's phases (without features) and features by ID
+function indexSide(snapshot) {
+    const phases = new Map();
+    const features = new Map();
+
+    for (const phase of snapshot?.phases || []) {
+        const { features: phaseFeatures, ...rest } = phase;
+        phases.set(phase.id, rest);
+        for (const feature of phaseFeatures || []) {
+            features.set(feature.id, { ...feature, phase_id: phase.id });
+        }
+    }
+
+    return { phases, features };
+}
+
+function unionIds(sides, level) {
+    return new Set([
+        ...sides.base[level].keys(),
+        ...sides.local[level].keys(),
+        ...sides.remote[level].keys()
+    ]);
+}
+
+// A phase counts as changed if its fields changed or any feature in it did
+function isPhaseChanged(sides, side, phase) {
+    if (isChanged(sides.base.phases.get(phase.id), phase)) return true;
+
+    for (const feature of sides[side].features.values()) {
+        if (feature.phase_id === phase.id && isChanged(sides.base.features.get(feature.id), feature)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function isChanged(base, item) {
+    return !base || !isEqual(stripSoftFields(base), stripSoftFields(item));
+}
+
+function stripSoftFields(item) {
+    return JSON.stringify(item, (key, value) => SOFT_FIELDS.includes(key) ? undefined : value);
+}
+
+// Merge the order of a list: whichever side reordered the shared items wins
+// (local if both did); items only on the other side follow their predecessor there
+function mergeOrder(baseIds, localIds, remoteIds, keep) {
+    const shared = (ids) => ids.filter(id => localIds.includes(id) && remoteIds.includes(id));
+    const localReordered = !isEqual(shared(localIds), shared(baseIds));
+
+    const primary = localReordered ? localIds : remoteIds;
+    const secondary = localReordered ? remoteIds : localIds;
+
+    const result = primary.filter(keep);
+
+    secondary.forEach((id, index) => {
+        if (!keep(id) || result.includes(id)) return;
+
+        const predecessor = secondary.slice(0, index).reverse().find(prev => result.includes(prev));
+        const insertAt = predecessor ? result.indexOf(predecessor) + 1 : 0;
+        result.splice(insertAt, 0, id);
+    });
+
+    return result;
+}
+
+// Three-way merge of an unordered set of IDs: keep additions and removals from both sides
+function mergeSet(base = [], local = [], remote = []) {
+    const removed = new Set([
+        ...base.filter(id => !local.includes(id)),
+        ...base.filter(id => !remote.includes(id))
+    ]);
+
+    return [...new Set([...local, ...remote])].filter(id => !removed.has(id));
+}
+
+// A field's value on an item (undefined if the item is missing), with older items
+// read as having the default so they merge cleanly with newer ones
+function fieldValue(item, field) {
+    if (!item) return undefined;
+    if (item[field] !== undefined) return item[field];
+    return field in FIELD_DEFAULTS ? FIELD_DEFAULTS[field] : null;
+}
+
+// deepClone, but a missing value stays missing
+function cloneValue(value) {
+    return value === undefined ? undefined : deepClone(value);
+}
+
+function orderOf(items) {
+    return (items || []).map(item => item.id);
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function getItemLabel(item) {
+    return item.name || item.description || item.id;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,96 @@
+/**
+ * Next Up Module
+ * Lists the features that can be worked on right now (not done, every
+ * dependency done), ranked by phase order, the critical path and priority
+ */
+
+import { computeSchedule } from './schedule.js';
+import { getStatus, isDoneStatus } from './statuses.js';
+import { getPriorityRank, createLabelBadgesHTML } from './labels.js';
+import { sanitizeHTML } from './utils.js';
+
+// Statuses that mean "not now", even when every dependency is done
+const ON_HOLD_STATUSES = ['blocked', 'deferred'];
+
+// How many features the panel shows
+const MAX_ITEMS = 8;
+
+// Actionable features, best first: [{ phase, feature, timing }]
+// timing is the feature's entry from computeSchedule
+export function getNextUp(project, schedule = computeSchedule(project)) {
+    const doneIds = new Set(project.phases.flatMap(phase =>
+        phase.features.filter(feature => isDoneStatus(project, feature.status)).map(feature => feature.id)
+    ));
+    const existingIds = new Set(project.phases.flatMap(phase => phase.features.map(feature => feature.id)));
+
+    const items = [];
+    project.phases.forEach((phase, phaseIndex) => {
+        for (const feature of phase.features) {
+            if (doneIds.has(feature.id)) continue;
+            if (ON_HOLD_STATUSES.includes(feature.status) || feature.marked_as === 'discard') continue;
+            if (!feature.dependencies.every(id => doneIds.has(id) || !existingIds.has(id))) continue;
+
+            items.push({ phase, phaseIndex, feature, timing: schedule.features.get(feature.id) || null });
+        }
+    });
+
+    return items.sort(compareNextUp).map(({ phase, feature, timing }) => ({ phase, feature, timing }));
+}
+
+// Earlier phases first, then critical features, then higher priority, then the least slack,
+// then work already started
+function compareNextUp(a, b) {
+    return (a.phaseIndex - b.phaseIndex) ||
+        (Number(!!b.timing?.critical) - Number(!!a.timing?.critical)) ||
+        (getPriorityRank(a.feature) - getPriorityRank(b.feature)) ||
+        ((a.timing?.slack ?? Infinity) - (b.timing?.slack ?? Infinity)) ||
+        (Number(b.feature.status === 'in_progress') - Number(a.feature.status === 'in_progress'));
+}
+
+// Render the panel; onSelect(featureId) runs when a feature is clicked
+export function renderNextUp(project, onSelect) {
+    const list = document.getElementById('next-up-list');
+    const count = document.getElementById('next-up-count');
+    if (!list) return;
+
+    if (!project) {
+        list.innerHTML = '';
+        count.textContent = '';
+        return;
+    }
+
+    const items = getNextUp(project);
+    count.textContent = items.length > 0 ? items.length : '';
+
+    if (items.length === 0) {
+        const hasFeatures = project.phases.some(phase => phase.features.length > 0);
+        list.innerHTML = `
+            <div class="next-up-empty">
+                ${hasFeatures ? 'Nothing is ready: every open feature is waiting on a dependency or on hold.' : 'No features yet.'}
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = items.slice(0, MAX_ITEMS).map(({ phase, feature, timing }) => {
+        const status = getStatus(project, feature.status);
+        return `
+            <button class="next-up-item" data-feature-id="${feature.id}" style="--status-color: ${sanitizeHTML(status.color)};">
+                <span class="next-up-name">
+                    ${timing?.critical ? '<span class="schedule-badge critical" title="On the critical path">⏱</span>' : ''}
+                    ${sanitizeHTML(feature.name)}
+                </span>
+                <span class="next-up-meta">
+                    ${sanitizeHTML(phase.name)} · ${sanitizeHTML(status.label)}
+                    ${createLabelBadgesHTML(feature)}
+                </span>
+            </button>
+        `;
+    }).join('') + (items.length > MAX_ITEMS
+        ? `<div class="next-up-more">+${items.length - MAX_ITEMS} more ready</div>`
+        : '');
+
+    list.querySelectorAll('.next-up-item').forEach(item => {
+        item.addEventListener('click', () => onSelect(item.dataset.featureId));
+    });
+}
@@ -0,0 +1,366 @@
+/**
+ * Outline View
+ * A dense list of phases, features and subtasks that can be edited entirely
+ * from the keyboard: Enter adds a sibling, Tab/Shift+Tab change the level,
+ * Alt+Up/Down reorder, Space toggles completion and F2 renames.
+ */
+
+import {
+    getCurrentProject, autoSave, findPhase, findFeature, findSubtask,
+    addPhase, addFeature, addSubtask, deletePhase, deleteFeature, deleteSubtaskFromProject,
+    toggleFeatureComplete, toggleSubtaskComplete, moveItem, indentItem, outdentItem, getLevelChangeLosses
+} from './storage.js';
+import { selectItem } from './canvas.js';
+import { getStatus, isDoneStatus } from './statuses.js';
+import { showNotification, confirmDialog, sanitizeHTML } from './utils.js';
+
+const DEPTH = { phase: 0, feature: 1, subtask: 2 };
+const NEW_NAMES = { phase: 'New phase', feature: 'New feature', subtask: 'New subtask' };
+
+let outlineElement = null;
+// The focused row: { type: 'phase' | 'feature' | 'subtask', id }
+let cursor = null;
+
+// Initialize the outline; listeners are delegated so re-renders don't need to re-bind them
+export function initOutline() {
+    outlineElement = document.getElementById('outline-view');
+    if (!outlineElement) {
+        console.error('Outline element not found');
+        return;
+    }
+
+    outlineElement.addEventListener('keydown', handleKeydown);
+
+    outlineElement.addEventListener('focusin', (e) => {
+        const row = e.target.closest('.outline-row');
+        if (row) setCursor(row.dataset.type, row.dataset.id);
+    });
+
+    outlineElement.addEventListener('click', (e) => {
+        if (e.target.closest('.outline-check')) {
+            const row = e.target.closest('.outline-row');
+            toggleItem(row.dataset.type, row.dataset.id);
+        } else if (e.target.closest('[data-action="add-phase"]')) {
+            insertSibling(null);
+        }
+    });
+
+    outlineElement.addEventListener('dblclick', (e) => {
+        const row = e.target.closest('.outline-row');
+        if (row && !e.target.closest('.outline-check')) startEditing(row);
+    });
+}
+
+// Render the outline for a project
+export function renderOutline(project) {
+    if (!outlineElement) return;
+
+    if (!project) {
+        outlineElement.innerHTML = '';
+        return;
+    }
+
+    // Keep focus in the outline across re-renders, but don't pull it away from other inputs
+    const hadFocus = outlineElement.contains(document.activeElement) || document.activeElement === document.body;
+
+    const rows = getRows(project);
+    if (!cursor || !rows.some(row => row.type === cursor.type && row.id === cursor.id)) {
+        cursor = rows[0] ? { type: rows[0].type, id: rows[0].id } : null;
+    }
+
+    outlineElement.innerHTML = `
+        <div class="outline-help">
+            <kbd>Enter</kbd> new item · <kbd>Tab</kbd>/<kbd>Shift+Tab</kbd> change level ·
+            <kbd>Alt+↑</kbd>/<kbd>Alt+↓</kbd> reorder · <kbd>Space</kbd> toggle ·
+            <kbd>F2</kbd> rename · <kbd>Delete</kbd> remove · <kbd>Esc</kbd> leave
+        </div>
+        ${rows.length > 0 ? `
+            <div class="outline-list" role="tree">
+                ${rows.map(row => createRowHTML(project, row)).join('')}
+            </div>
+        ` : `
+            <div class="outline-empty">
+                <p>This project has no phases yet.</p>
+                <button class="btn btn-primary" data-action="add-phase">Add phase</button>
+            </div>
+        `}
+    `;
+
+    if (hadFocus) focusCursor();
+}
+
+// Flatten the project into rows in display order
+function getRows(project) {
+    const rows = [];
+    for (const phase of project.phases) {
+        rows.push({ type: 'phase', id: phase.id, item: phase });
+        for (const feature of phase.features) {
+            rows.push({ type: 'feature', id: feature.id, item: feature });
+            for (const subtask of feature.subtasks) {
+                rows.push({ type: 'subtask', id: subtask.id, item: subtask });
+            }
+        }
+    }
+    return rows;
+}
+
+function createRowHTML(project, { type, id, item }) {
+    const current = cursor?.type === type && cursor.id === id;
+    let check = '';
+    let meta = '';
+
+    if (type === 'phase') {
+        const done = item.features.filter(f => isDoneStatus(project, f.status)).length;
+        meta = `<span class="outline-progress">${done}/${item.features.length}</span>`;
+    } else if (type === 'feature') {
+        const status = getStatus(project, item.status);
+        check = `<input type="checkbox" class="outline-check" tabindex="-1" ${status.done ? 'checked' : ''}>`;
+        meta = `
+            <span class="outline-status" style="--status-color: ${sanitizeHTML(status.color)};">${sanitizeHTML(status.label)}</span>
+        `;
+    } else {
+        check = `<input type="checkbox" class="outline-check" tabindex="-1" ${item.completed ? 'checked' : ''}>`;
+    }
+
+    const name = type === 'subtask' ? item.description : item.name;
+    const finished = type === 'subtask' ? item.completed : type === 'feature' && isDoneStatus(project, item.status);
+
+    return `
+        <div class="outline-row outline-${type} ${finished ? 'done' : ''}" role="treeitem"
+             data-type="${type}" data-id="${id}" tabindex="${current ? 0 : -1}" style="--depth: ${DEPTH[type]};">
+            ${check}
+            <span class="outline-name">${sanitizeHTML(name)}</span>
+            ${meta}
+        </div>
+    `;
+}
+
+// ==================== Keyboard ====================
+
+function handleKeydown(e) {
+    const row = e.target.closest('.outline-row');
+    if (!row || e.target.classList.contains('outline-input')) return;
+
+    const { type, id } = row.dataset;
+
+    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+        e.preventDefault();
+        applyChange(moveItem(getCurrentProject(), type, id, e.key === 'ArrowUp' ? -1 : 1));
+        return;
+    }
+
+    switch (e.key) {
+        case 'ArrowUp':
+        case 'ArrowDown':
+            e.preventDefault();
+            moveCursor(row, e.key === 'ArrowUp' ? -1 : 1);
+            break;
+        case 'Enter':
+            e.preventDefault();
+            insertSibling({ type, id });
+            break;
+        case 'Tab':
+            e.preventDefault();
+            changeLevel(type, id, e.shiftKey ? 'outdent' : 'indent');
+            break;
+        case ' ':
+            e.preventDefault();
+            toggleItem(type, id);
+            break;
+        case 'F2':
+            e.preventDefault();
+            startEditing(row);
+            break;
+        case 'Delete':
+            e.preventDefault();
+            removeItem(row);
+            break;
+        case 'Escape':
+            row.blur();
+            break;
+    }
+}
+
+function moveCursor(row, offset) {
+    const rows = [...outlineElement.querySelectorAll('.outline-row')];
+    const next = rows[rows.indexOf(row) + offset];
+    if (next) next.focus();
+}
+
+// Remember the focused row; phases and features also become the canvas selection
+function setCursor(type, id) {
+    cursor = { type, id };
+    outlineElement.querySelectorAll('.outline-row').forEach(row => {
+        row.tabIndex = row.dataset.type === type && row.dataset.id === id ? 0 : -1;
+    });
+
+    if (type === 'subtask') {
+        const result = findSubtask(getCurrentProject(), id);
+        if (result) selectItem('feature', result.feature.id);
+    } else {
+        selectItem(type, id);
+    }
+}
+
+function focusCursor() {
+    if (!cursor) return;
+    outlineElement.querySelector(`.outline-row[data-type="${cursor.type}"][data-id="${cursor.id}"]`)?.focus();
+}
+
+// Re-render and save after a change to the project
+function applyChange(changed) {
+    if (!changed) return;
+
+    const project = getCurrentProject();
+    renderOutline(project);
+    focusCursor();
+    autoSave();
+}
+
+// ==================== Actions ====================
+
+// Add an item after the given one at the same level (or a first phase) and rename it
+function insertSibling(after) {
+    const project = getCurrentProject();
+    if (!project) return;
+
+    const type = after?.type || 'phase';
+    let item;
+
+    if (type === 'phase') {
+        const index = after ? project.phases.findIndex(p => p.id === after.id) + 1 : project.phases.length;
+        item = addPhase(project, NEW_NAMES.phase, '', index);
+    } else if (type === 'feature') {
+        const { phase, feature } = findFeature(project, after.id);
+        item = addFeature(phase, NEW_NAMES.feature, '', phase.features.indexOf(feature) + 1);
+    } else {
+        const { feature, subtask } = findSubtask(project, after.id);
+        item = addSubtask(feature, NEW_NAMES.subtask, feature.subtasks.indexOf(subtask) + 1);
+    }
+
+    cursor = { type, id: item.id };
+    applyChange(true);
+
+    const row = outlineElement.querySelector(`.outline-row[data-type="${type}"][data-id="${item.id}"]`);
+    if (row) startEditing(row);
+}
+
+// Indent or outdent an item, asking first if features would lose anything on the way
+async function changeLevel(type, id, direction) {
+    const project = getCurrentProject();
+    const losses = getLevelChangeLosses(project, type, id, direction);
+    if (losses.length > 0) {
+        const action = direction === 'indent' ? 'Indent' : 'Outdent';
+        const message = `${losses.map(sanitizeHTML).join('<br>')}<br><br>${action} anyway?`;
+        if (!await confirmDialog(message, 'Change Level')) return;
+    }
+
+    const change = direction === 'indent' ? indentItem : outdentItem;
+    const result = change(project, type, id);
+    if (!result.success) {
+        showNotification({ type: 'warning', message: result.error, duration: 2500 });
+        return;
+    }
+
+    cursor = result.item;
+    applyChange(true);
+}
+
+function toggleItem(type, id) {
+    const project = getCurrentProject();
+    if (type === 'feature') {
+        applyChange(toggleFeatureComplete(project, id));
+    } else if (type === 'subtask') {
+        applyChange(toggleSubtaskComplete(project, id));
+    }
+}
+
+async function removeItem(row) {
+    const project = getCurrentProject();
+    const { type, id } = row.dataset;
+
+    if (type === 'phase') {
+        const phase = findPhase(project, id);
+        if (phase.features.length > 0 &&
+            !await confirmDialog(`Delete "${phase.name}" and its ${phase.features.length} features?`, 'Delete Phase')) {
+            return;
+        }
+    } else if (type === 'feature') {
+        const { feature } = findFeature(project, id);
+        if (feature.subtasks.length > 0 &&
+            !await confirmDialog('Delete this feature and all its subtasks?', 'Delete Feature')) {
+            return;
+        }
+    }
+
+    // Keep the cursor nearby: on the row above, or below for the first row
+    const rows = [...outlineElement.querySelectorAll('.outline-row')];
+    const index = rows.indexOf(row);
+    let next = index + 1;
+    while (rows[next] && DEPTH[rows[next].dataset.type] > DEPTH[type]) next++;
+    const neighbour = rows[index - 1] || rows[next];
+    cursor = neighbour ? { type: neighbour.dataset.type, id: neighbour.dataset.id } : null;
+
+    if (type === 'phase') {
+        deletePhase(project, id);
+    } else if (type === 'feature') {
+        deleteFeature(project, id);
+    } else {
+        deleteSubtaskFromProject(project, id);
+    }
+    applyChange(true);
+}
+
+// ==================== Renaming ====================
+
+function startEditing(row) {
+    const nameEl = row.querySelector('.outline-name');
+    if (!nameEl || row.querySelector('.outline-input')) return;
+
+    const original = nameEl.textContent;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'outline-input';
+    input.value = original;
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+
+        const name = input.value.trim();
+        if (save && name && name !== original) {
+            renameItem(row.dataset.type, row.dataset.id, name);
+            applyChange(true);
+        } else {
+            renderOutline(getCurrentProject());
+            focusCursor();
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            finish(false);
+        }
+        e.stopPropagation();
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+function renameItem(type, id, name) {
+    const project = getCurrentProject();
+    if (type === 'phase') {
+        findPhase(project, id).name = name;
+    } else if (type === 'feature') {
+        findFeature(project, id).feature.name = name;
+    } else {
+        findSubtask(project, id).subtask.description = name;
+    }
+}
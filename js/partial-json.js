@@ -0,0 +1,146 @@
+/**
+ * Partial JSON Parser
+ * Parses the complete part of a JSON document that is still being streamed
+ */
+
+// Remove markdown code fences and anything before the first brace
+export function stripJSONWrapper(text) {
+    const cleaned = (text || '').replace(/```json\n?|```\n?/g, '');
+    const start = cleaned.indexOf('{');
+    return start === -1 ? '' : cleaned.slice(start).trim();
+}
+
+// Parse as much of a truncated JSON object as is complete
+// Incomplete strings, numbers and keys are dropped and open brackets closed,
+// e.g. '{"phases":[{"name":"Setup","feat' parses to { phases: [{ name: 'Setup' }] }
+// Returns null if nothing usable has arrived yet
+export function parsePartialJSON(text) {
+    const json = stripJSONWrapper(text);
+    if (!json) return null;
+
+    const safePoint = findSafePoint(json);
+    if (!safePoint) return null;
+
+    try {
+        return JSON.parse(json.slice(0, safePoint.index) + safePoint.closers);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Walk the text and remember the last position where cutting it off
+// and closing the open brackets still gives valid JSON
+function findSafePoint(json) {
+    const stack = [];
+    let safePoint = null;
+    let inString = false;
+    let escaped = false;
+    let stringIsKey = false;
+    let inPrimitive = false;
+
+    const closers = () => stack.map(entry => entry.type === '{' ? '}' : ']').reverse().join('');
+    const markSafe = (index) => {
+        safePoint = { index, closers: closers() };
+    };
+
+    // A value just finished inside the innermost container
+    const completeValue = (index) => {
+        const top = stack[stack.length - 1];
+        if (top) top.expect = 'comma';
+        markSafe(index);
+    };
+
+    for (let i = 0; i < json.length; i++) {
+        const char = json[i];
+        const top = stack[stack.length - 1];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+                if (stringIsKey) {
+                    top.expect = 'colon';
+                } else {
+                    completeValue(i + 1);
+                }
+            }
+            continue;
+        }
+
+        if (inPrimitive) {
+            if (/[\s,\]}]/.test(char)) {
+                inPrimitive = false;
+                completeValue(i);
+            } else {
+                continue;
+            }
+        }
+
+        if (/\s/.test(char)) continue;
+
+        switch (char) {
+            case '{':
+            case '[':
+                stack.push({ type: char, expect: char === '{' ? 'key' : 'value' });
+                markSafe(i + 1);
+                break;
+            case '}':
+            case ']':
+                stack.pop();
+                if (stack.length === 0) {
+                    return { index: i + 1, closers: '' };
+                }
+                completeValue(i + 1);
+                break;
+            case ',':
+                if (top) top.expect = top.type === '{' ? 'key' : 'value';
+                break;
+            case ':':
+                if (top) top.expect = 'value';
+                break;
+            case '"':
+                inString = true;
+                stringIsKey = top?.type === '{' && top.expect === 'key';
+                break;
+            default:
+                inPrimitive = true;
+        }
+    }
+
+    return safePoint;
+}
+
+// Remove commas directly before a closing bracket, e.g. '[1, 2,]' becomes '[1, 2]'
+// Commas inside strings are left alone
+export function removeTrailingCommas(json) {
+    let result = '';
+    let inString = false;
+    let escaped = false;
+    const closingAhead = /\s*[}\]]/y;
+
+    for (let i = 0; i < json.length; i++) {
+        const char = json[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === ',') {
+            closingAhead.lastIndex = i + 1;
+            if (closingAhead.test(json)) continue;
+        }
+
+        result += char;
+    }
+
+    return result;
+}
@@ -0,0 +1,209 @@
+/**
+ * AI Plan Schema
+ * Validates the plan JSON returned by the AI and repairs what it can
+ */
+
+import { stripJSONWrapper, parsePartialJSON, removeTrailingCommas } from './partial-json.js';
+
+const NAME_SCHEMA = { type: 'string', minLength: 1 };
+
+const FEATURE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'suggested_subtasks'],
+    properties: {
+        name: NAME_SCHEMA,
+        description: { type: 'string', default: '' },
+        suggested_subtasks: { type: 'array', items: NAME_SCHEMA, default: [] },
+        dependencies: { type: 'array', items: NAME_SCHEMA, default: [] }
+    }
+};
+
+const PHASE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'features'],
+    properties: {
+        name: NAME_SCHEMA,
+        description: { type: 'string', default: '' },
+        features: { type: 'array', items: FEATURE_SCHEMA, default: [] }
+    }
+};
+
+export const PLAN_SCHEMA = {
+    type: 'object',
+    required: ['phases'],
+    properties: {
+        phases: { type: 'array', items: PHASE_SCHEMA, minItems: 1 }
+    }
+};
+
+// ==================== Parsing ====================
+
+// Parse the plan JSON out of the AI text, leniently
+// Returns { data, repairs } or null if nothing could be parsed
+export function parsePlanText(text) {
+    const json = stripJSONWrapper(text);
+    if (!json) return null;
+
+    try {
+        return { data: JSON.parse(json), repairs: [] };
+    } catch (error) {
+        console.warn('[Plan] Strict JSON parse failed:', error.message);
+    }
+
+    const withoutCommas = removeTrailingCommas(json);
+    if (withoutCommas !== json) {
+        try {
+            return { data: JSON.parse(withoutCommas), repairs: ['Removed trailing commas'] };
+        } catch (error) {
+            // Fall through to closing truncated output
+        }
+    }
+
+    // Output cut off mid-way (e.g. at the token limit): keep the complete part
+    const partial = parsePartialJSON(withoutCommas);
+    if (partial && typeof partial === 'object') {
+        return { data: partial, repairs: ['Closed truncated JSON; the end of the plan may be missing'] };
+    }
+
+    return null;
+}
+
+// ==================== Validation ====================
+
+// Validate a parsed plan against the schema
+// Returns { valid, errors } where each error is { path, message }
+export function validatePlan(data) {
+    const errors = [];
+    validateNode(data, PLAN_SCHEMA, '', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+// Format validation errors for display, e.g. "phases[0].features[2].name is required"
+export function formatSchemaErrors(errors, limit = 5) {
+    const lines = errors.slice(0, limit).map(error => `${error.path || '(root)'} ${error.message}`);
+    if (errors.length > limit) {
+        lines.push(`...and ${errors.length - limit} more`);
+    }
+    return lines.join('; ');
+}
+
+function validateNode(value, schema, path, errors) {
+    const typeError = getTypeError(value, schema);
+    if (typeError) {
+        errors.push({ path, message: typeError });
+        return;
+    }
+
+    if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push({ path, message: 'must not be empty' });
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ path: joinPath(path, key), message: 'is required' });
+            }
+        }
+
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined && value[key] !== null) {
+                validateNode(value[key], propertySchema, joinPath(path, key), errors);
+            }
+        }
+    }
+}
+
+function getTypeError(value, schema) {
+    switch (schema.type) {
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+        case 'array':
+            return Array.isArray(value) ? null : 'must be an array';
+        case 'string':
+            return typeof value === 'string' ? null : 'must be a string';
+        default:
+            return null;
+    }
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+// ==================== Repair ====================
+
+// Repair a parsed plan: fill in missing optional arrays and strings,
+// coerce numbers to strings and drop nodes that can't be salvaged
+// Returns { plan, repairs } where plan is null if nothing usable is left
+export function repairPlan(data) {
+    const repairs = [];
+    const plan = repairNode(data, PLAN_SCHEMA, '', repairs);
+
+    if (!plan || validatePlan(plan).errors.length > 0) {
+        return { plan: null, repairs };
+    }
+
+    return { plan, repairs };
+}
+
+// Returns the repaired value, or undefined if the node should be dropped
+function repairNode(value, schema, path, repairs) {
+    if (schema.type === 'string') {
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            repairs.push(`Converted ${path} to text`);
+            value = String(value);
+        }
+        if (typeof value !== 'string') return undefined;
+        if (schema.minLength && value.trim().length < schema.minLength) return undefined;
+        return value;
+    }
+
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) return undefined;
+
+        const items = [];
+        value.forEach((item, index) => {
+            const repaired = repairNode(item, schema.items, `${path}[${index}]`, repairs);
+            if (repaired === undefined) {
+                repairs.push(`Dropped invalid ${path}[${index}]`);
+            } else {
+                items.push(repaired);
+            }
+        });
+        return items;
+    }
+
+    if (schema.type === 'object') {
+        if (getTypeError(value, schema)) return undefined;
+
+        const result = { ...value };
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            const propertyPath = joinPath(path, key);
+            const present = value[key] !== undefined && value[key] !== null;
+            const repaired = present ? repairNode(value[key], propertySchema, propertyPath, repairs) : undefined;
+
+            if (repaired !== undefined) {
+                result[key] = repaired;
+            } else if (propertySchema.default !== undefined) {
+                if (present || (schema.required || []).includes(key)) {
+                    repairs.push(`${present ? 'Replaced invalid' : 'Added missing'} ${propertyPath}`);
+                }
+                result[key] = structuredClone(propertySchema.default);
+            } else if ((schema.required || []).includes(key)) {
+                return undefined;
+            } else {
+                delete result[key];
+            }
+        }
+        return result;
+    }
+
+    return value;
+}
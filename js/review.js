@@ -0,0 +1,193 @@
+/**
+ * AI Plan Review Module
+ * Shows a proposed plan next to the current one and lets the user
+ * accept or reject individual phases, features and subtasks
+ */
+
+import { sanitizeHTML } from './utils.js';
+
+// Show the review dialog
+// applyModes optionally offers a choice of how to apply, e.g. replace or extend
+// Resolves with { phases, keepFeatureIds, applyMode } for the accepted plan, or null if discarded
+export function reviewAIPlan({
+    title = 'Review AI Plan',
+    currentPhases,
+    proposedPhases,
+    allowKeep = true,
+    applyModes = []
+}) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal review-modal">
+                <div class="modal-header">
+                    <h2>${title}</h2>
+                    <button class="modal-close" data-action="cancel">×</button>
+                </div>
+                <div class="modal-body review-columns">
+                    <div class="review-column">
+                        <h3>Current</h3>
+                        ${allowKeep ? '<p class="settings-description">Tick features to keep them alongside the new plan.</p>' : ''}
+                        ${createCurrentHTML(currentPhases, allowKeep)}
+                    </div>
+                    <div class="review-column">
+                        <h3>Proposed</h3>
+                        <p class="settings-description">Untick anything you don't want applied.</p>
+                        ${createProposedHTML(proposedPhases)}
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <span class="review-summary"></span>
+                    ${applyModes.length > 0 ? `
+                        <select class="review-apply-mode">
+                            ${applyModes.map(m => `<option value="${m.value}">${m.label}</option>`).join('')}
+                        </select>
+                    ` : ''}
+                    <button class="btn btn-secondary" data-action="cancel">Discard Plan</button>
+                    <button class="btn btn-primary" data-action="apply">Apply Selected</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        requestAnimationFrame(() => overlay.classList.add('show'));
+
+        const applyBtn = overlay.querySelector('[data-action="apply"]');
+
+        const updateSummary = () => {
+            const count = selector => overlay.querySelectorAll(`${selector}:checked:not(:disabled)`).length;
+            const phases = count('.review-phase-cb');
+            overlay.querySelector('.review-summary').textContent =
+                `${phases} phases, ${count('.review-feature-cb')} features, ${count('.review-subtask-cb')} subtasks`;
+            applyBtn.disabled = phases === 0;
+        };
+
+        // Unticking a parent disables its children
+        overlay.querySelectorAll('.review-phase-cb, .review-feature-cb').forEach(cb => {
+            cb.addEventListener('change', () => {
+                const group = cb.closest(cb.classList.contains('review-phase-cb') ? '.review-phase' : '.review-feature');
+                group.querySelectorAll('input[type="checkbox"]').forEach(child => {
+                    if (child !== cb) child.disabled = !cb.checked;
+                });
+                group.classList.toggle('rejected', !cb.checked);
+                updateSummary();
+            });
+        });
+        overlay.querySelectorAll('.review-subtask-cb').forEach(cb => cb.addEventListener('change', updateSummary));
+        updateSummary();
+
+        const handleAction = (apply) => {
+            overlay.classList.remove('show');
+            setTimeout(() => overlay.remove(), 300);
+
+            if (!apply) {
+                resolve(null);
+                return;
+            }
+
+            resolve({
+                phases: collectAcceptedPhases(overlay, proposedPhases),
+                keepFeatureIds: [...overlay.querySelectorAll('.review-keep-cb:checked')].map(cb => cb.value),
+                applyMode: overlay.querySelector('.review-apply-mode')?.value || null
+            });
+        };
+
+        overlay.querySelectorAll('[data-action="cancel"]').forEach(btn => {
+            btn.addEventListener('click', () => handleAction(false));
+        });
+        applyBtn.addEventListener('click', () => handleAction(true));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) handleAction(false);
+        });
+    });
+}
+
+// Subtask descriptions of a proposed feature (AI output or a preserved feature)
+function getProposedSubtasks(featureData) {
+    if (featureData.suggested_subtasks) return featureData.suggested_subtasks;
+    return (featureData.subtasks || []).map(s => s.description);
+}
+
+function createCurrentHTML(phases, allowKeep) {
+    if (!phases.length) {
+        return '<div class="review-empty">Nothing yet</div>';
+    }
+
+    return phases.map(phase => `
+        <div class="review-phase">
+            <div class="review-phase-name">${sanitizeHTML(phase.name)}</div>
+            ${phase.features.map(feature => `
+                <label class="review-feature review-current-feature">
+                    ${allowKeep ? `
+                        <input type="checkbox" class="review-keep-cb" value="${feature.id}"
+                               ${feature.marked_as === 'keep' ? 'checked disabled' : ''}>
+                    ` : ''}
+                    <span>${sanitizeHTML(feature.name)}</span>
+                    ${feature.marked_as === 'keep' ? '<span class="review-hint">marked Keep</span>' : ''}
+                    ${feature.status !== 'not_started' ? `<span class="review-hint">${feature.status.replace('_', ' ')}</span>` : ''}
+                </label>
+                ${allowKeep ? '' : feature.subtasks.map(subtask => `
+                    <div class="review-subtask">${sanitizeHTML(subtask.description)}</div>
+                `).join('')}
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+function createProposedHTML(phases) {
+    if (!phases.length) {
+        return '<div class="review-empty">The AI proposed nothing</div>';
+    }
+
+    return phases.map((phase, pi) => `
+        <div class="review-phase" data-phase-index="${pi}">
+            <label class="review-phase-name">
+                <input type="checkbox" class="review-phase-cb" checked>
+                ${sanitizeHTML(phase.name)}
+            </label>
+            ${(phase.features || []).map((feature, fi) => `
+                <div class="review-feature" data-feature-index="${fi}">
+                    <label>
+                        <input type="checkbox" class="review-feature-cb" checked>
+                        <span>${sanitizeHTML(feature.name)}</span>
+                    </label>
+                    ${feature.description ? `<div class="review-description">${sanitizeHTML(feature.description)}</div>` : ''}
+                    ${getProposedSubtasks(feature).map((subtask, si) => `
+                        <label class="review-subtask">
+                            <input type="checkbox" class="review-subtask-cb" data-subtask-index="${si}" checked>
+                            <span>${sanitizeHTML(subtask)}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+// Build the accepted subset of the proposed phases
+function collectAcceptedPhases(overlay, proposedPhases) {
+    const accepted = [];
+
+    overlay.querySelectorAll('.review-column .review-phase[data-phase-index]').forEach(phaseEl => {
+        if (!phaseEl.querySelector('.review-phase-cb').checked) return;
+
+        const phaseData = proposedPhases[Number(phaseEl.dataset.phaseIndex)];
+        const features = [];
+
+        phaseEl.querySelectorAll('.review-feature[data-feature-index]').forEach(featureEl => {
+            if (!featureEl.querySelector('.review-feature-cb').checked) return;
+
+            const featureData = (phaseData.features || [])[Number(featureEl.dataset.featureIndex)];
+            const subtasks = getProposedSubtasks(featureData);
+            const acceptedSubtasks = [...featureEl.querySelectorAll('.review-subtask-cb:checked')]
+                .map(cb => subtasks[Number(cb.dataset.subtaskIndex)]);
+
+            features.push({ ...featureData, suggested_subtasks: acceptedSubtasks });
+        });
+
+        accepted.push({ ...phaseData, features });
+    });
+
+    return accepted;
+}
@@ -0,0 +1,192 @@
+/**
+ * Scheduling Module
+ * Resolves feature and phase dates, and runs a critical path analysis over
+ * the feature dependency graph: earliest and latest start and finish, slack,
+ * the critical path, the project ETA and dependency cycles.
+ */
+
+import { isDoneStatus } from './statuses.js';
+import { parseDay, getToday } from './utils.js';
+
+// Duration assumed for open features without an estimate or dates
+export const DEFAULT_DURATION = 1;
+
+// ==================== Dates ====================
+
+// Work out the days a feature covers: { start, end } (inclusive day numbers) or null if unscheduled.
+// Missing values are filled in from the others: a start and an estimate give the end,
+// a due date and an estimate give the start, and the phase start is used as a default start.
+export function getFeatureDates(phase, feature) {
+    return resolveDates(feature, parseDay(phase.start_date));
+}
+
+// Days a phase covers: its own dates if it has an end, else it stretches over its scheduled features
+export function getPhaseDates(phase) {
+    const own = resolveDates(phase, null);
+    if (own && (parseDay(phase.due_date) !== null || phase.estimate_days > 0)) return own;
+
+    const spans = phase.features.map(feature => getFeatureDates(phase, feature)).filter(Boolean);
+    if (own) spans.push(own);
+    if (spans.length === 0) return null;
+
+    return {
+        start: Math.min(...spans.map(span => span.start)),
+        end: Math.max(...spans.map(span => span.end))
+    };
+}
+
+function resolveDates(item, defaultStart) {
+    const estimate = item.estimate_days > 0 ? Math.ceil(item.estimate_days) : null;
+    let start = parseDay(item.start_date);
+    let end = parseDay(item.due_date);
+
+    if (start === null && end !== null && estimate) start = end - estimate + 1;
+    if (start === null) start = defaultStart;
+    if (start === null && end === null) return null;
+
+    if (start === null) start = end;
+    if (end === null) end = estimate ? start + estimate - 1 : start;
+
+    return { start, end: Math.max(start, end) };
+}
+
+// ==================== Critical Path ====================
+
+// Schedule the remaining work from today, as early as dependencies and start dates allow.
+// Days are day numbers; finishes are exclusive (a 1-day feature starting on day d finishes on d + 1).
+// Returns {
+//   features: Map of feature ID -> { es, ef, ls, lf, slack, duration, estimated, critical },
+//   start, finish, remaining, unestimated,
+//   criticalPath: feature IDs in order,
+//   cycles: arrays of feature IDs that depend on each other in a loop,
+//   blocked: IDs left unscheduled because they are in or after a cycle
+// }
+export function computeSchedule(project, today = getToday()) {
+    const nodes = new Map();
+    for (const phase of project.phases) {
+        for (const feature of phase.features) {
+            const node = { feature, ...getDuration(project, phase, feature) };
+            // Open features can't start before their own (or their phase's) start date
+            node.constraint = node.done ? null : parseDay(feature.start_date) ?? parseDay(phase.start_date);
+            nodes.set(feature.id, node);
+        }
+    }
+
+    const dependenciesOf = id => nodes.get(id).feature.dependencies.filter(dep => nodes.has(dep));
+    const successors = new Map([...nodes.keys()].map(id => [id, []]));
+    nodes.forEach((node, id) => dependenciesOf(id).forEach(dep => successors.get(dep).push(id)));
+
+    // Topological order (Kahn); whatever is left over sits in or behind a cycle
+    const pending = new Map([...nodes.keys()].map(id => [id, dependenciesOf(id).length]));
+    const queue = [...pending].filter(([, count]) => count === 0).map(([id]) => id);
+    const order = [];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        order.push(id);
+        successors.get(id).forEach(next => {
+            pending.set(next, pending.get(next) - 1);
+            if (pending.get(next) === 0) queue.push(next);
+        });
+    }
+    const blocked = [...nodes.keys()].filter(id => !order.includes(id));
+
+    // Forward pass: earliest start and finish
+    const features = new Map();
+    for (const id of order) {
+        const node = nodes.get(id);
+        const es = Math.max(today, node.constraint ?? today, ...dependenciesOf(id).map(dep => features.get(dep).ef));
+        features.set(id, { es, ef: es + node.duration, duration: node.duration, estimated: node.estimated });
+    }
+
+    const finish = Math.max(today, ...[...features.values()].map(entry => entry.ef));
+
+    // Backward pass: latest start and finish without moving the project finish
+    for (const id of [...order].reverse()) {
+        const entry = features.get(id);
+        const next = successors.get(id).filter(succ => features.has(succ));
+        entry.lf = Math.min(finish, ...next.map(succ => features.get(succ).ls));
+        entry.ls = entry.lf - entry.duration;
+        entry.slack = entry.ls - entry.es;
+        entry.critical = entry.slack === 0 && entry.duration > 0;
+    }
+
+    const criticalPath = order
+        .filter(id => features.get(id).critical)
+        .sort((a, b) => features.get(a).es - features.get(b).es);
+
+    const open = [...nodes.values()].filter(node => !node.done);
+
+    return {
+        features,
+        start: today,
+        finish,
+        remaining: open.length,
+        unestimated: open.filter(node => !node.estimated).length,
+        criticalPath,
+        cycles: findCycles(blocked, id => dependenciesOf(id).filter(dep => blocked.includes(dep))),
+        blocked
+    };
+}
+
+// Days of work left on a feature: none once done, else its estimate, else the span of its own dates
+function getDuration(project, phase, feature) {
+    const done = isDoneStatus(project, feature.status);
+    if (done) return { done, duration: 0, estimated: true };
+
+    if (feature.estimate_days > 0) {
+        return { done, duration: Math.ceil(feature.estimate_days), estimated: true };
+    }
+
+    if (parseDay(feature.start_date) !== null && parseDay(feature.due_date) !== null) {
+        const dates = getFeatureDates(phase, feature);
+        return { done, duration: dates.end - dates.start + 1, estimated: true };
+    }
+
+    return { done, duration: DEFAULT_DURATION, estimated: false };
+}
+
+// Strongly connected components (Tarjan) with more than one member, or a self-dependency
+function findCycles(ids, getDependencies) {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const visit = (id) => {
+        index.set(id, counter);
+        lowLink.set(id, counter);
+        counter++;
+        stack.push(id);
+        onStack.add(id);
+
+        for (const dep of getDependencies(id)) {
+            if (!index.has(dep)) {
+                visit(dep);
+                lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(dep)));
+            } else if (onStack.has(dep)) {
+                lowLink.set(id, Math.min(lowLink.get(id), index.get(dep)));
+            }
+        }
+
+        if (lowLink.get(id) === index.get(id)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+
+            if (component.length > 1 || getDependencies(id).includes(id)) {
+                cycles.push(component.reverse());
+            }
+        }
+    };
+
+    ids.forEach(id => {
+        if (!index.has(id)) visit(id);
+    });
+    return cycles;
+}
@@ -0,0 +1,290 @@
+/**
+ * Search Module
+ * Searches phase, feature and subtask text, with filters on status, keep/discard
+ * marks, AI-generated features and tags. Matches are highlighted on the canvas,
+ * everything else is dimmed, and Enter steps through the matching phases and features,
+ * switching to the canvas when another view is shown.
+ */
+
+import { getCurrentProject } from './storage.js';
+import { onRender } from './canvas.js';
+import { getStatuses } from './statuses.js';
+import { getLabels } from './labels.js';
+import { sanitizeHTML } from './utils.js';
+
+const EMPTY_FILTERS = { status: '', marked_as: '', ai_generated: '', tag: '' };
+
+let query = '';
+let filters = { ...EMPTY_FILTERS };
+// Phases and features matching the current search, in plan order: [{ type, id }]
+let results = [];
+let resultIndex = -1;
+let focusResult = null;
+
+// Wire up the search bar; onFocus(type, id) shows a phase or feature on the canvas
+export function initSearch({ onFocus }) {
+    focusResult = onFocus;
+
+    const input = document.getElementById('search-input');
+    input.addEventListener('input', () => {
+        query = input.value.trim();
+        applySearch();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepResult(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+            clearSearch();
+            input.blur();
+        }
+    });
+
+    document.getElementById('search-filter-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleFilterMenu();
+    });
+
+    // Re-apply after every canvas render, e.g. after an edit or undo
+    onRender(() => applySearch());
+}
+
+export function isSearchActive() {
+    return query !== '' || Object.values(filters).some(Boolean);
+}
+
+export function clearSearch() {
+    query = '';
+    filters = { ...EMPTY_FILTERS };
+    document.getElementById('search-input').value = '';
+    applySearch();
+}
+
+// ==================== Matching ====================
+
+// Match a project against a search: { phases, features } as Sets of IDs,
+// plus results ([{ type, id }] in plan order). The text matches names and descriptions
+// at every level. Filters are on feature fields, so while any is set only features match.
+export function searchProject(project, text, activeFilters) {
+    const needle = text.toLowerCase();
+    const matchesText = value => !!needle && String(value || '').toLowerCase().includes(needle);
+    const filtering = Object.values(activeFilters).some(Boolean);
+
+    const match = { phases: new Set(), features: new Set(), results: [] };
+
+    for (const phase of project.phases) {
+        if (!filtering && (matchesText(phase.name) || matchesText(phase.description))) {
+            match.phases.add(phase.id);
+            match.results.push({ type: 'phase', id: phase.id });
+        }
+
+        for (const feature of phase.features) {
+            if (!passesFilters(feature, activeFilters)) continue;
+
+            if (!needle || matchesText(feature.name) || matchesText(feature.description) ||
+                feature.subtasks.some(subtask => matchesText(subtask.description))) {
+                match.features.add(feature.id);
+                match.results.push({ type: 'feature', id: feature.id });
+            }
+        }
+    }
+
+    return match;
+}
+
+function passesFilters(feature, { status, marked_as, ai_generated, tag }) {
+    if (status && feature.status !== status) return false;
+    if (marked_as && (feature.marked_as || 'none') !== marked_as) return false;
+    if (ai_generated && String(!!feature.ai_generated) !== ai_generated) return false;
+    if (tag && !getLabels(feature).tags.some(t => t.toLowerCase() === tag.toLowerCase())) return false;
+    return true;
+}
+
+// ==================== Canvas ====================
+
+// Highlight matches and dim everything else on the canvas
+export function applySearch() {
+    const canvasContent = document.getElementById('canvas-content');
+    const project = getCurrentProject();
+
+    clearHighlights(canvasContent);
+    canvasContent.classList.toggle('searching', isSearchActive() && !!project);
+
+    if (!isSearchActive() || !project) {
+        results = [];
+        resultIndex = -1;
+        renderCount();
+        return;
+    }
+
+    const match = searchProject(project, query, filters);
+
+    // Keep the current result while it still matches
+    const current = results[resultIndex];
+    results = match.results;
+    resultIndex = results.findIndex(result => result.type === current?.type && result.id === current?.id);
+    const currentId = results[resultIndex]?.id;
+
+    canvasContent.querySelectorAll('.phase-container').forEach(phaseEl => {
+        const phaseMatched = match.phases.has(phaseEl.dataset.phaseId);
+        const phase = project.phases.find(p => p.id === phaseEl.dataset.phaseId);
+        const hasResults = !!phase?.features.some(feature => match.features.has(feature.id));
+        phaseEl.classList.toggle('search-dimmed', !phaseMatched && !hasResults);
+        phaseEl.classList.toggle('search-match', phaseMatched);
+        phaseEl.classList.toggle('search-current', phaseMatched && phaseEl.dataset.phaseId === currentId);
+    });
+
+    canvasContent.querySelectorAll('.feature-card').forEach(card => {
+        const matched = match.features.has(card.dataset.featureId);
+        card.classList.toggle('search-match', matched);
+        card.classList.toggle('search-dimmed', !matched);
+        card.classList.toggle('search-current', matched && card.dataset.featureId === currentId);
+    });
+
+    if (query) {
+        canvasContent.querySelectorAll('.phase-name, .phase-description, .feature-name, .feature-description, .subtask-text')
+            .forEach(el => highlightText(el, query));
+    }
+
+    renderCount();
+}
+
+// Move to the next (1) or previous (-1) matching phase or feature and show it
+function stepResult(offset) {
+    if (!isSearchActive()) return;
+    if (results.length === 0) return;
+
+    resultIndex = (resultIndex + offset + results.length) % results.length;
+    const { type, id } = results[resultIndex];
+    focusResult(type, id);
+
+    // Showing the result may have re-rendered the canvas; mark it again
+    document.querySelectorAll('.search-current').forEach(el => el.classList.remove('search-current'));
+    document.getElementById(`${type}-${id}`)?.classList.add('search-current');
+    renderCount();
+}
+
+function renderCount() {
+    const count = document.getElementById('search-count');
+    if (!isSearchActive()) {
+        count.textContent = '';
+    } else if (results.length === 0) {
+        count.textContent = 'No matches';
+    } else if (document.getElementById('canvas').hidden) {
+        // Matches are only marked on the canvas; Enter switches to it
+        count.textContent = `${results.length} found on the canvas (Enter to show)`;
+    } else {
+        count.textContent = resultIndex >= 0 ? `${resultIndex + 1} of ${results.length}` : `${results.length} found`;
+    }
+
+    document.getElementById('search-filter-btn').classList.toggle('active', Object.values(filters).some(Boolean));
+}
+
+// Wrap each occurrence of the query in an element's text in <mark>
+function highlightText(element, text) {
+    const needle = text.toLowerCase();
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    for (const node of nodes) {
+        const value = node.nodeValue;
+        const lower = value.toLowerCase();
+        if (!lower.includes(needle)) continue;
+
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        let index;
+        while ((index = lower.indexOf(needle, position)) !== -1) {
+            fragment.appendChild(document.createTextNode(value.slice(position, index)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = value.slice(index, index + needle.length);
+            fragment.appendChild(mark);
+            position = index + needle.length;
+        }
+        fragment.appendChild(document.createTextNode(value.slice(position)));
+        node.replaceWith(fragment);
+    }
+}
+
+function clearHighlights(container) {
+    container.querySelectorAll('mark.search-highlight').forEach(mark => {
+        const parent = mark.parentNode;
+        mark.replaceWith(document.createTextNode(mark.textContent));
+        parent.normalize();
+    });
+}
+
+// ==================== Filters ====================
+
+function toggleFilterMenu() {
+    const existing = document.querySelector('.search-filters');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const project = getCurrentProject();
+    if (!project) return;
+
+    const features = project.phases.flatMap(phase => phase.features);
+    const tags = [...new Set(features.flatMap(feature => getLabels(feature).tags))].sort();
+
+    const options = (values, selected) => values.map(([value, label]) => `
+        <option value="${sanitizeHTML(value)}" ${value === selected ? 'selected' : ''}>${sanitizeHTML(label)}</option>
+    `).join('');
+
+    const menu = document.createElement('div');
+    menu.className = 'context-menu search-filters';
+    menu.innerHTML = `
+        <label>Status
+            <select data-filter="status">
+                ${options([['', 'Any status'], ...getStatuses(project).map(status => [status.id, status.label])], filters.status)}
+            </select>
+        </label>
+        <label>Marked
+            <select data-filter="marked_as">
+                ${options([['', 'Any'], ['keep', 'Keep'], ['discard', 'Discard'], ['none', 'Not marked']], filters.marked_as)}
+            </select>
+        </label>
+        <label>Source
+            <select data-filter="ai_generated">
+                ${options([['', 'Any'], ['true', 'AI generated'], ['false', 'Added by hand']], filters.ai_generated)}
+            </select>
+        </label>
+        <label>Tag
+            <select data-filter="tag">
+                ${options([['', 'Any tag'], ...tags.map(tag => [tag, `#${tag}`])], filters.tag)}
+            </select>
+        </label>
+        <button class="btn btn-secondary btn-small" data-action="reset">Clear filters</button>
+    `;
+
+    const rect = document.getElementById('search-filter-btn').getBoundingClientRect();
+    menu.style.left = `${rect.right - 220}px`;
+    menu.style.top = `${rect.bottom + 4}px`;
+    document.body.appendChild(menu);
+
+    const close = () => {
+        menu.remove();
+        document.removeEventListener('click', closeOnOutsideClick);
+    };
+    const closeOnOutsideClick = (e) => {
+        if (!menu.contains(e.target)) close();
+    };
+
+    menu.querySelectorAll('select').forEach(select => {
+        select.addEventListener('change', () => {
+            filters[select.dataset.filter] = select.value;
+            applySearch();
+        });
+    });
+    menu.querySelector('[data-action="reset"]').addEventListener('click', () => {
+        filters = { ...EMPTY_FILTERS };
+        close();
+        applySearch();
+    });
+
+    setTimeout(() => document.addEventListener('click', closeOnOutsideClick), 10);
+}
@@ -0,0 +1,148 @@
+/**
+ * Status Manager Dialog
+ * Lets the user add, edit and remove a project's custom feature statuses
+ */
+
+import {
+    DEFAULT_STATUSES,
+    addCustomStatus,
+    updateCustomStatus,
+    removeCustomStatus
+} from './statuses.js';
+import { confirmDialog, showNotification, sanitizeHTML } from './utils.js';
+
+// Open the dialog; onChange runs after every change to the project's statuses
+export function openStatusManager(project, onChange) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal status-manager-modal">
+            <div class="modal-header">
+                <h2>Feature Statuses</h2>
+                <button class="modal-close" data-action="close">×</button>
+            </div>
+            <div class="modal-body">
+                <p class="settings-description">
+                    Statuses marked "done" count towards phase progress.
+                </p>
+                <div class="status-list"></div>
+                <div class="status-row status-add-row">
+                    <input type="color" class="status-color" value="#94A3B8" title="Color">
+                    <input type="text" class="form-input status-label" placeholder="New status, e.g. Waiting on design">
+                    <label class="status-done"><input type="checkbox"> Done</label>
+                    <button class="btn btn-primary btn-small" data-action="add">Add</button>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-primary" data-action="close">Done</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => overlay.classList.add('show'));
+
+    const list = overlay.querySelector('.status-list');
+
+    const changed = () => {
+        if (onChange) onChange();
+        render();
+    };
+
+    const render = () => {
+        const custom = project.custom_statuses || [];
+
+        list.innerHTML = `
+            ${DEFAULT_STATUSES.map(status => `
+                <div class="status-row builtin">
+                    <span class="status-swatch" style="background: ${status.color};"></span>
+                    <span class="status-name">${sanitizeHTML(status.label)}</span>
+                    <span class="review-hint">${status.done ? 'done' : 'built-in'}</span>
+                </div>
+            `).join('')}
+            ${custom.map(status => `
+                <div class="status-row" data-status-id="${sanitizeHTML(status.id)}">
+                    <input type="color" class="status-color" value="${sanitizeHTML(status.color)}" title="Color">
+                    <input type="text" class="form-input status-label" value="${sanitizeHTML(status.label)}">
+                    <label class="status-done"><input type="checkbox" ${status.done ? 'checked' : ''}> Done</label>
+                    <button class="btn btn-danger btn-small" data-action="remove">×</button>
+                </div>
+            `).join('')}
+        `;
+
+        list.querySelectorAll('.status-row[data-status-id]').forEach(row => {
+            const statusId = row.dataset.statusId;
+
+            row.querySelector('.status-color').addEventListener('change', (e) => {
+                updateCustomStatus(project, statusId, { color: e.target.value });
+                changed();
+            });
+
+            row.querySelector('.status-label').addEventListener('change', (e) => {
+                const label = e.target.value.trim();
+                if (!label) {
+                    render();
+                    return;
+                }
+                updateCustomStatus(project, statusId, { label });
+                changed();
+            });
+
+            row.querySelector('.status-done input').addEventListener('change', (e) => {
+                updateCustomStatus(project, statusId, { done: e.target.checked });
+                changed();
+            });
+
+            row.querySelector('[data-action="remove"]').addEventListener('click', async () => {
+                const inUse = project.phases.flatMap(phase => phase.features)
+                    .filter(feature => feature.status === statusId).length;
+
+                if (inUse > 0) {
+                    const confirmed = await confirmDialog(
+                        `${inUse} feature${inUse === 1 ? ' uses' : 's use'} this status and will go back to "Not started".`,
+                        'Remove Status'
+                    );
+                    if (!confirmed) return;
+                }
+
+                removeCustomStatus(project, statusId);
+                changed();
+            });
+        });
+    };
+
+    const addRow = overlay.querySelector('.status-add-row');
+    const addStatus = () => {
+        const labelInput = addRow.querySelector('.status-label');
+        const label = labelInput.value.trim();
+        if (!label) {
+            showNotification({ type: 'warning', message: 'Enter a name for the status' });
+            return;
+        }
+
+        addCustomStatus(project, {
+            label,
+            color: addRow.querySelector('.status-color').value,
+            done: addRow.querySelector('.status-done input').checked
+        });
+        labelInput.value = '';
+        changed();
+    };
+
+    addRow.querySelector('[data-action="add"]').addEventListener('click', addStatus);
+    addRow.querySelector('.status-label').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addStatus();
+    });
+
+    const close = () => {
+        overlay.classList.remove('show');
+        setTimeout(() => overlay.remove(), 300);
+    };
+
+    overlay.querySelectorAll('[data-action="close"]').forEach(btn => btn.addEventListener('click', close));
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+
+    render();
+}
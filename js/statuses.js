@@ -0,0 +1,133 @@
+/**
+ * Feature Status Module
+ * The built-in status workflow plus custom statuses defined per project
+ */
+
+// Built-in statuses, in workflow order. Only statuses marked done count as finished.
+export const DEFAULT_STATUSES = [
+    { id: 'not_started', label: 'Not started', color: '#CBD5E1', done: false },
+    { id: 'in_progress', label: 'In progress', color: '#FBBF24', done: false },
+    { id: 'blocked', label: 'Blocked', color: '#F87171', done: false },
+    { id: 'in_review', label: 'In review', color: '#60A5FA', done: false },
+    { id: 'deferred', label: 'Deferred', color: '#A78BFA', done: false },
+    { id: 'complete', label: 'Complete', color: '#34D399', done: true }
+];
+
+// Status IDs and colors go into HTML attributes, and custom statuses can come from
+// a shared Gist, so both are checked wherever statuses enter a project
+const STATUS_ID_PATTERN = /^[a-z0-9_]+$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export function isValidStatusColor(color) {
+    return COLOR_PATTERN.test(String(color));
+}
+
+// A feature's status as stored, or not started if it isn't a valid status ID
+export function normalizeStatusId(statusId) {
+    return STATUS_ID_PATTERN.test(String(statusId)) ? statusId : 'not_started';
+}
+
+// The well-formed custom statuses of a list: unique slug IDs that don't shadow a
+// built-in status, text labels and #rrggbb colors (else the neutral color)
+export function normalizeCustomStatuses(statuses) {
+    if (!Array.isArray(statuses)) return [];
+
+    const taken = new Set(DEFAULT_STATUSES.map(status => status.id));
+    return statuses
+        .filter(status => {
+            if (!status || !STATUS_ID_PATTERN.test(String(status.id)) || taken.has(status.id)) return false;
+            taken.add(status.id);
+            return true;
+        })
+        .map(status => ({
+            id: status.id,
+            label: String(status.label || status.id),
+            color: isValidStatusColor(status.color) ? status.color : DEFAULT_STATUSES[0].color,
+            done: !!status.done
+        }));
+}
+
+// All statuses available in a project: the built-in ones, then the project's own
+export function getStatuses(project) {
+    return [...DEFAULT_STATUSES, ...(project?.custom_statuses || [])];
+}
+
+// Look up a status; unknown IDs (e.g. a deleted custom status) get a neutral look
+export function getStatus(project, statusId) {
+    return getStatuses(project).find(status => status.id === statusId) || {
+        id: statusId,
+        label: String(statusId || 'unknown').replace(/_/g, ' '),
+        color: DEFAULT_STATUSES[0].color,
+        done: false
+    };
+}
+
+export function isDoneStatus(project, statusId) {
+    return getStatus(project, statusId).done;
+}
+
+// Count the features of a list per status, in workflow order
+// Returns [{ status, count }] for statuses that are in use
+export function countByStatus(project, features) {
+    const counts = new Map();
+    features.forEach(feature => {
+        counts.set(feature.status, (counts.get(feature.status) || 0) + 1);
+    });
+
+    const known = getStatuses(project)
+        .filter(status => counts.has(status.id))
+        .map(status => ({ status, count: counts.get(status.id) }));
+    const unknown = [...counts.keys()]
+        .filter(id => !known.some(entry => entry.status.id === id))
+        .map(id => ({ status: getStatus(project, id), count: counts.get(id) }));
+
+    return [...known, ...unknown];
+}
+
+// Add a custom status to a project. Returns the new status.
+export function addCustomStatus(project, { label, color, done = false }) {
+    const base = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'status';
+    const taken = new Set(getStatuses(project).map(status => status.id));
+
+    let id = `custom_${base}`;
+    for (let n = 2; taken.has(id); n++) {
+        id = `custom_${base}_${n}`;
+    }
+
+    const status = {
+        id,
+        label: label.trim(),
+        color: isValidStatusColor(color) ? color : DEFAULT_STATUSES[0].color,
+        done: !!done
+    };
+    project.custom_statuses = [...(project.custom_statuses || []), status];
+    return status;
+}
+
+// Change the label, color or done flag of a custom status; invalid values are ignored
+export function updateCustomStatus(project, statusId, { label, color, done }) {
+    const status = (project.custom_statuses || []).find(s => s.id === statusId);
+    if (!status) return null;
+
+    if (label !== undefined && String(label).trim()) status.label = String(label).trim();
+    if (color !== undefined && isValidStatusColor(color)) status.color = color;
+    if (done !== undefined) status.done = !!done;
+    return status;
+}
+
+// Remove a custom status; features using it go back to not started
+// Returns the number of features that were reset
+export function removeCustomStatus(project, statusId) {
+    project.custom_statuses = (project.custom_statuses || []).filter(status => status.id !== statusId);
+
+    let reset = 0;
+    for (const phase of project.phases) {
+        for (const feature of phase.features) {
+            if (feature.status === statusId) {
+                feature.status = 'not_started';
+                reset++;
+            }
+        }
+    }
+    return reset;
+}
@@ -3,10 +3,16 @@
  * Handles all data persistence for the App Development Manager
  */
 
-import { generateId, debounce } from './utils.js';
+import { generateId, debounce, deepClone } from './utils.js';
+import { encodeSecret, decodeSecret } from './vault.js';
+import { getStatus, getStatuses, isDoneStatus, normalizeCustomStatuses, normalizeStatusId } from './statuses.js';
+import { copyLabels } from './labels.js';
 
 const DB_NAME = 'app-dev-manager';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
+
+// Project fields that hold the plan itself (as opposed to view or sync state)
+export const CONTENT_FIELDS = ['name', 'goal', 'phases', 'custom_statuses'];
 
 let db = null;
 
@@ -40,6 +46,12 @@ export async function initDatabase() {
             if (!database.objectStoreNames.contains('app_settings')) {
                 database.createObjectStore('app_settings', { keyPath: 'key' });
             }
+
+            // Project version snapshots
+            if (!database.objectStoreNames.contains('project_versions')) {
+                const versionStore = database.createObjectStore('project_versions', { keyPath: 'id' });
+                versionStore.createIndex('project_id', 'project_id', { unique: false });
+            }
         };
     });
 }
@@ -59,6 +71,7 @@ export async function createProject(name, goal = '') {
         gist_url: null,
         last_synced: null,
         phases: [],
+        custom_statuses: [],
         canvas_state: {
             zoom_level: 1.0,
             pan_x: 0,
@@ -118,11 +131,92 @@ export async function updateProject(project) {
     });
 }
 
-// Delete a project
+// Delete a project and its version snapshots
 export async function deleteProject(id) {
     return new Promise((resolve, reject) => {
-        const transaction = db.transaction(['projects'], 'readwrite');
-        const store = transaction.objectStore('projects');
+        const transaction = db.transaction(['projects', 'project_versions', 'app_settings'], 'readwrite');
+        transaction.objectStore('projects').delete(id);
+        transaction.objectStore('app_settings').delete(`sync_base_${id}`);
+
+        const versionIndex = transaction.objectStore('project_versions').index('project_id');
+        const cursorRequest = versionIndex.openKeyCursor(IDBKeyRange.only(id));
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                transaction.objectStore('project_versions').delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// ==================== Version Operations ====================
+
+// Copy of a project's content fields, without IDs, sync info or timestamps
+export function getProjectContent(project) {
+    const content = {};
+    CONTENT_FIELDS.forEach(field => {
+        content[field] = deepClone(project[field] ?? null);
+    });
+    return content;
+}
+
+// Replace a project's content fields
+export function setProjectContent(project, content) {
+    CONTENT_FIELDS.forEach(field => {
+        if (content[field] !== undefined) {
+            project[field] = deepClone(content[field]);
+        }
+    });
+    return project;
+}
+
+// Save a snapshot of a project's content
+export async function saveProjectVersion(project, label = 'Manual snapshot') {
+    const snapshot = getProjectContent(project);
+
+    const version = {
+        id: generateId(),
+        project_id: project.id,
+        label,
+        created: Date.now(),
+        snapshot
+    };
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['project_versions'], 'readwrite');
+        const store = transaction.objectStore('project_versions');
+        const request = store.add(version);
+
+        request.onsuccess = () => resolve(version);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Get all snapshots of a project
+export async function getProjectVersions(projectId) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['project_versions'], 'readonly');
+        const index = transaction.objectStore('project_versions').index('project_id');
+        const request = index.getAll(projectId);
+
+        request.onsuccess = () => {
+            // Sort by creation date (most recent first)
+            const versions = request.result.sort((a, b) => b.created - a.created);
+            resolve(versions);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Delete a snapshot
+export async function deleteProjectVersion(id) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['project_versions'], 'readwrite');
+        const store = transaction.objectStore('project_versions');
         const request = store.delete(id);
 
         request.onsuccess = () => resolve(true);
@@ -130,6 +224,11 @@ export async function deleteProject(id) {
     });
 }
 
+// Replace a project's content with a snapshot
+export function restoreProjectVersion(project, version) {
+    return setProjectContent(project, version.snapshot);
+}
+
 // ==================== Settings Operations ====================
 
 // Get a setting
@@ -156,20 +255,38 @@ export async function setSetting(key, value) {
     });
 }
 
+// Get every setting as a { key: value } map
+export async function getAllSettings() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['app_settings'], 'readonly');
+        const store = transaction.objectStore('app_settings');
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+            const settings = {};
+            request.result.forEach(({ key, value }) => {
+                settings[key] = value;
+            });
+            resolve(settings);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // ==================== API Key Operations ====================
 
-// Save an API key (base64 encoded for minimal obfuscation)
+// Save an API key (encrypted if the vault is enabled, else base64 encoded)
 export async function saveAPIKey(model, apiKey) {
     const apiKeys = await getSetting('api_keys') || {};
-    apiKeys[model] = btoa(apiKey);
+    apiKeys[model] = await encodeSecret(apiKey);
     await setSetting('api_keys', apiKeys);
 }
 
-// Get an API key
+// Get an API key; throws VaultLockedError while the vault is locked
 export async function getAPIKey(model) {
     const apiKeys = await getSetting('api_keys') || {};
     if (!apiKeys[model]) return null;
-    return atob(apiKeys[model]);
+    return await decodeSecret(apiKeys[model]);
 }
 
 // Check if API key exists
@@ -187,8 +304,8 @@ export async function deleteAPIKey(model) {
 
 // ==================== Phase/Feature/Subtask Operations ====================
 
-// Add a phase to a project
-export function addPhase(project, name, description = '') {
+// Add a phase to a project, at the end unless an index is given
+export function addPhase(project, name, description = '', index = project.phases.length) {
     const phase = {
         id: generateId(),
         project_id: project.id,
@@ -196,6 +313,9 @@ export function addPhase(project, name, description = '') {
         description,
         order: project.phases.length,
         features: [],
+        start_date: null,
+        due_date: null,
+        estimate_days: null,
         collapsed: false,
         position: {
             x: project.phases.length * 320 + 40,
@@ -203,12 +323,13 @@ export function addPhase(project, name, description = '') {
         }
     };
 
-    project.phases.push(phase);
+    project.phases.splice(index, 0, phase);
+    project.phases.forEach((p, i) => p.order = i);
     return phase;
 }
 
-// Add a feature to a phase
-export function addFeature(phase, name, description = '') {
+// Add a feature to a phase, at the end unless an index is given
+export function addFeature(phase, name, description = '', index = phase.features.length) {
     const feature = {
         id: generateId(),
         phase_id: phase.id,
@@ -217,27 +338,36 @@ export function addFeature(phase, name, description = '') {
         status: 'not_started',
         ai_generated: false,
         marked_as: 'none',
+        priority: null,
+        tags: [],
+        assignees: [],
         subtasks: [],
         dependencies: [],
+        start_date: null,
+        due_date: null,
+        estimate_days: null,
         collapsed: true,
         position: { x: 0, y: 0 }
     };
 
-    phase.features.push(feature);
+    phase.features.splice(index, 0, feature);
     return feature;
 }
 
-// Add a subtask to a feature
-export function addSubtask(feature, description) {
+// Add a subtask to a feature, at the end unless an index is given
+export function addSubtask(feature, description, index = feature.subtasks.length) {
     const subtask = {
         id: generateId(),
         feature_id: feature.id,
         description,
         completed: false,
-        ai_generated: false
+        ai_generated: false,
+        priority: null,
+        tags: [],
+        assignees: []
     };
 
-    feature.subtasks.push(subtask);
+    feature.subtasks.splice(index, 0, subtask);
     return subtask;
 }
 
@@ -255,6 +385,48 @@ export function findFeature(project, featureId) {
     return null;
 }
 
+// Set a feature's status; the status must exist in the project
+// Returns false if the feature or status wasn't found
+export function setFeatureStatus(project, featureId, statusId) {
+    const result = findFeature(project, featureId);
+    if (!result || !getStatuses(project).some(status => status.id === statusId)) {
+        return false;
+    }
+
+    result.feature.status = statusId;
+    return true;
+}
+
+// Toggle a feature between complete and not started
+export function toggleFeatureComplete(project, featureId) {
+    const result = findFeature(project, featureId);
+    if (!result) return false;
+
+    const done = isDoneStatus(project, result.feature.status);
+    return setFeatureStatus(project, featureId, done ? 'not_started' : 'complete');
+}
+
+// Toggle a subtask and move its feature along: complete once every subtask is,
+// in progress once some are. Statuses set by hand (blocked, in review, ...) are left alone.
+export function toggleSubtaskComplete(project, subtaskId) {
+    const result = findSubtask(project, subtaskId);
+    if (!result) return false;
+
+    const { feature, subtask } = result;
+    subtask.completed = !subtask.completed;
+
+    const allComplete = feature.subtasks.every(s => s.completed);
+    const anyComplete = feature.subtasks.some(s => s.completed);
+    const done = isDoneStatus(project, feature.status);
+
+    if (allComplete) {
+        if (!done) feature.status = 'complete';
+    } else if (anyComplete && (done || feature.status === 'not_started')) {
+        feature.status = 'in_progress';
+    }
+    return true;
+}
+
 // Find a subtask by ID
 export function findSubtask(project, subtaskId) {
     for (const phase of project.phases) {
@@ -270,9 +442,11 @@ export function findSubtask(project, subtaskId) {
 export function deletePhase(project, phaseId) {
     const index = project.phases.findIndex(p => p.id === phaseId);
     if (index !== -1) {
-        project.phases.splice(index, 1);
+        const [removed] = project.phases.splice(index, 1);
         // Update order of remaining phases
         project.phases.forEach((p, i) => p.order = i);
+        // Drop dependencies on the removed features
+        removeDependencyReferences(project, removed.features.map(f => f.id));
         return true;
     }
     return false;
@@ -284,6 +458,7 @@ export function deleteFeature(project, featureId) {
         const index = phase.features.findIndex(f => f.id === featureId);
         if (index !== -1) {
             phase.features.splice(index, 1);
+            removeDependencyReferences(project, [featureId]);
             return true;
         }
     }
@@ -304,6 +479,298 @@ export function deleteSubtaskFromProject(project, subtaskId) {
     return false;
 }
 
+// ==================== Outline Operations ====================
+// Reordering and moving items between levels, as done from the outline view.
+// Changing level shifts the whole item down or up: a phase becomes a feature and
+// its features become subtasks, a subtask becomes a feature, and so on. Items that
+// change level get new IDs, except a feature that becomes a phase; results are
+// { success, item: { type, id } } or { success: false, error }.
+
+// The list an item lives in and its index there
+function locateItem(project, type, id) {
+    if (type === 'phase') {
+        const index = project.phases.findIndex(p => p.id === id);
+        return index === -1 ? null : { list: project.phases, index };
+    }
+    if (type === 'feature') {
+        const result = findFeature(project, id);
+        return result && { list: result.phase.features, index: result.phase.features.indexOf(result.feature), ...result };
+    }
+    const result = findSubtask(project, id);
+    return result && { list: result.feature.subtasks, index: result.feature.subtasks.indexOf(result.subtask), ...result };
+}
+
+// Move an item up (-1) or down (+1) among its siblings
+export function moveItem(project, type, id, offset) {
+    const location = locateItem(project, type, id);
+    if (!location) return false;
+
+    const { list, index } = location;
+    const target = index + offset;
+    if (target < 0 || target >= list.length) return false;
+
+    list.splice(target, 0, ...list.splice(index, 1));
+    if (type === 'phase') {
+        project.phases.forEach((p, i) => p.order = i);
+    }
+    return true;
+}
+
+// Why an item can't be indented or outdented, or null if it can
+function getLevelChangeError(location, type, direction) {
+    if (!location) return 'Item not found';
+
+    if (direction === 'outdent') {
+        return type === 'phase' ? 'Phases are already at the top level' : null;
+    }
+
+    if (type === 'subtask') {
+        return 'Subtasks can\'t be indented any further';
+    }
+    if (location.index === 0) {
+        return `The first ${type} has nothing to be indented into`;
+    }
+
+    const item = location.list[location.index];
+    if (type === 'phase' && item.features.some(feature => feature.subtasks.length > 0)) {
+        return 'Features with subtasks can\'t become subtasks; remove or outdent the subtasks first';
+    }
+    if (type === 'feature' && item.subtasks.length > 0) {
+        return 'Subtasks can\'t have subtasks; remove or outdent them first';
+    }
+    return null;
+}
+
+// What features would lose by indenting ('indent') or outdenting ('outdent') an item,
+// one line per feature, so the user can be asked first; empty if nothing is lost
+export function getLevelChangeLosses(project, type, id, direction) {
+    const location = locateItem(project, type, id);
+    if (getLevelChangeError(location, type, direction)) return [];
+
+    const item = location.list[location.index];
+    let features = [];
+    if (direction === 'indent') {
+        // The feature, or every feature of the phase, becomes a subtask
+        features = type === 'phase' ? item.features : [item];
+    } else if (type === 'feature') {
+        // The feature becomes a phase; its subtasks become features and lose nothing
+        features = [item];
+    }
+
+    const becomesSubtask = direction === 'indent';
+    return features
+        .map(feature => {
+            const losses = getFeatureLosses(project, feature, becomesSubtask);
+            return losses.length > 0 ? `"${feature.name}" would lose ${joinList(losses)}` : null;
+        })
+        .filter(Boolean);
+}
+
+// What a feature loses by becoming a subtask or a phase
+function getFeatureLosses(project, feature, becomesSubtask) {
+    const losses = [];
+
+    if (becomesSubtask && feature.description) {
+        losses.push('its description');
+    }
+
+    // A subtask is only done or not; a phase has no status at all
+    const keepsStatus = feature.status === 'not_started' ||
+        (becomesSubtask && isDoneStatus(project, feature.status));
+    if (!keepsStatus) {
+        losses.push(`its "${getStatus(project, feature.status).label}" status`);
+    }
+
+    if (feature.marked_as === 'keep' || feature.marked_as === 'discard') {
+        losses.push(`its ${feature.marked_as} mark`);
+    }
+
+    const links = feature.dependencies.length + project.phases
+        .flatMap(phase => phase.features)
+        .filter(other => other.dependencies.includes(feature.id)).length;
+    if (links > 0) {
+        losses.push(`${links} dependency link${links === 1 ? '' : 's'}`);
+    }
+
+    if (becomesSubtask && (feature.start_date || feature.due_date || feature.estimate_days)) {
+        losses.push('its dates and estimate');
+    }
+
+    return losses;
+}
+
+function joinList(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+// Copy the dates and estimate of a phase or feature to another
+function copyDates(from, to) {
+    to.start_date = from.start_date ?? null;
+    to.due_date = from.due_date ?? null;
+    to.estimate_days = from.estimate_days ?? null;
+}
+
+// Move an item one level down, into its previous sibling
+export function indentItem(project, type, id) {
+    const location = locateItem(project, type, id);
+    const error = getLevelChangeError(location, type, 'indent');
+    if (error) return { success: false, error };
+
+    const { list, index } = location;
+    const parent = list[index - 1];
+
+    if (type === 'phase') {
+        const phase = list[index];
+        const feature = addFeature(parent, phase.name, phase.description);
+        copyDates(phase, feature);
+        phase.features.forEach(child => {
+            const subtask = addSubtask(feature, child.name);
+            subtask.completed = isDoneStatus(project, child.status);
+            subtask.ai_generated = !!child.ai_generated;
+            copyLabels(child, subtask);
+        });
+        deletePhase(project, phase.id);
+        return { success: true, item: { type: 'feature', id: feature.id } };
+    }
+
+    const feature = list[index];
+    const subtask = addSubtask(parent, feature.name);
+    subtask.completed = isDoneStatus(project, feature.status);
+    subtask.ai_generated = !!feature.ai_generated;
+    copyLabels(feature, subtask);
+    deleteFeature(project, feature.id);
+    return { success: true, item: { type: 'subtask', id: subtask.id } };
+}
+
+// Move an item one level up, after its parent; the siblings that followed it become its children
+export function outdentItem(project, type, id) {
+    const location = locateItem(project, type, id);
+    const error = getLevelChangeError(location, type, 'outdent');
+    if (error) return { success: false, error };
+
+    const { list, index } = location;
+    const following = list.splice(index + 1);
+
+    if (type === 'subtask') {
+        const { phase, feature, subtask } = location;
+        const newFeature = addFeature(phase, subtask.description, '', phase.features.indexOf(feature) + 1);
+        newFeature.status = subtask.completed ? 'complete' : 'not_started';
+        newFeature.ai_generated = !!subtask.ai_generated;
+        copyLabels(subtask, newFeature);
+        following.forEach(child => {
+            const moved = addSubtask(newFeature, child.description);
+            moved.completed = child.completed;
+            moved.ai_generated = !!child.ai_generated;
+            copyLabels(child, moved);
+        });
+        list.splice(index, 1);
+        return { success: true, item: { type: 'feature', id: newFeature.id } };
+    }
+
+    // A feature becomes a phase; its subtasks and the features after it become its features
+    const { phase, feature } = location;
+    const newPhase = addPhase(project, feature.name, feature.description, project.phases.indexOf(phase) + 1);
+    newPhase.id = feature.id;
+    copyDates(feature, newPhase);
+    feature.subtasks.forEach(child => {
+        const promoted = addFeature(newPhase, child.description);
+        promoted.status = child.completed ? 'complete' : 'not_started';
+        promoted.ai_generated = !!child.ai_generated;
+        copyLabels(child, promoted);
+    });
+    following.forEach(child => {
+        child.phase_id = newPhase.id;
+        newPhase.features.push(child);
+    });
+    deleteFeature(project, feature.id);
+    return { success: true, item: { type: 'phase', id: newPhase.id } };
+}
+
+// ==================== Dependency Operations ====================
+
+// Check if making featureId depend on dependsOnId would create a cycle
+export function wouldCreateCycle(project, featureId, dependsOnId) {
+    if (featureId === dependsOnId) return true;
+
+    // Walk everything dependsOnId already depends on, looking for featureId
+    const visited = new Set();
+    const stack = [dependsOnId];
+
+    while (stack.length > 0) {
+        const currentId = stack.pop();
+        if (currentId === featureId) return true;
+        if (visited.has(currentId)) continue;
+        visited.add(currentId);
+
+        const result = findFeature(project, currentId);
+        if (result) {
+            stack.push(...result.feature.dependencies);
+        }
+    }
+
+    return false;
+}
+
+// Add a dependency (featureId depends on dependsOnId)
+export function addDependency(project, featureId, dependsOnId) {
+    const result = findFeature(project, featureId);
+    const target = findFeature(project, dependsOnId);
+
+    if (!result || !target) {
+        return { success: false, error: 'Feature not found' };
+    }
+
+    if (result.feature.dependencies.includes(dependsOnId)) {
+        return { success: false, error: `"${result.feature.name}" already depends on "${target.feature.name}"` };
+    }
+
+    if (wouldCreateCycle(project, featureId, dependsOnId)) {
+        return { success: false, error: `Linking "${result.feature.name}" to "${target.feature.name}" would create a cycle` };
+    }
+
+    result.feature.dependencies.push(dependsOnId);
+    return { success: true };
+}
+
+// Remove a dependency
+export function removeDependency(project, featureId, dependsOnId) {
+    const result = findFeature(project, featureId);
+    if (!result) return false;
+
+    const index = result.feature.dependencies.indexOf(dependsOnId);
+    if (index !== -1) {
+        result.feature.dependencies.splice(index, 1);
+        return true;
+    }
+    return false;
+}
+
+// Remove references to deleted features from all dependency lists
+function removeDependencyReferences(project, featureIds) {
+    for (const phase of project.phases) {
+        for (const feature of phase.features) {
+            feature.dependencies = feature.dependencies.filter(id => !featureIds.includes(id));
+        }
+    }
+}
+
+// Drop dependencies on features that no longer exist, e.g. after a regeneration
+// Returns the number of dependencies removed
+export function pruneDependencies(project) {
+    const featureIds = new Set(project.phases.flatMap(p => p.features.map(f => f.id)));
+    let removed = 0;
+
+    for (const phase of project.phases) {
+        for (const feature of phase.features) {
+            const kept = feature.dependencies.filter(id => featureIds.has(id));
+            removed += feature.dependencies.length - kept.length;
+            feature.dependencies = kept;
+        }
+    }
+
+    return removed;
+}
+
 // ==================== Auto-save ====================
 
 let currentProject = null;
@@ -316,18 +783,40 @@ export function getCurrentProject() {
     return currentProject;
 }
 
-// Debounced auto-save (2 second delay)
-export const autoSave = debounce(async () => {
+const changeListeners = [];
+const saveListeners = [];
+
+// Register a callback to run whenever the current project is changed
+export function onProjectChange(callback) {
+    changeListeners.push(callback);
+}
+
+// Register a callback to run after an auto-save has written the current project
+export function onProjectSaved(callback) {
+    saveListeners.push(callback);
+}
+
+// Debounced save (2 second delay)
+const debouncedSave = debounce(async () => {
     if (currentProject) {
         try {
             await updateProject(currentProject);
             console.log('Auto-saved project:', currentProject.name);
+            saveListeners.forEach(callback => callback(currentProject));
         } catch (error) {
             console.error('Auto-save failed:', error);
         }
     }
 }, 2000);
 
+// Notify change listeners and schedule a save
+export function autoSave() {
+    if (currentProject) {
+        changeListeners.forEach(callback => callback(currentProject));
+    }
+    debouncedSave();
+}
+
 // ==================== Export/Import ====================
 
 // Export project to JSON
@@ -354,58 +843,114 @@ export async function importProject(jsonString) {
             throw new Error('Invalid project file format');
         }
 
-        // Generate new IDs to avoid conflicts
-        const project = data.project;
-        project.id = generateId();
-        project.created = Date.now();
-        project.modified = Date.now();
-        project.gist_id = null;
-        project.gist_url = null;
-        project.last_synced = null;
-
-        // Regenerate IDs for phases, features, subtasks
-        const idMap = new Map();
-
-        for (const phase of project.phases) {
-            const oldPhaseId = phase.id;
-            phase.id = generateId();
-            phase.project_id = project.id;
-            idMap.set(oldPhaseId, phase.id);
-
-            for (const feature of phase.features) {
-                const oldFeatureId = feature.id;
-                feature.id = generateId();
-                feature.phase_id = phase.id;
-                idMap.set(oldFeatureId, feature.id);
-
-                for (const subtask of feature.subtasks) {
-                    subtask.id = generateId();
-                    subtask.feature_id = feature.id;
-                }
+        return await addProject(regenerateProjectIds(normalizeProjectData(data.project)));
+
+    } catch (error) {
+        console.error('Import failed:', error);
+        throw new Error('Failed to import project: ' + error.message);
+    }
+}
+
+// ==================== Shared Data ====================
+
+// IDs end up in HTML attributes and CSS selectors, so only simple ones are used
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+// Make a project read from a Gist or a file safe to use: unsafe IDs are replaced,
+// the same ID always by the same replacement so later syncs with the Gist still match,
+// and malformed custom statuses are dropped. Returns the project, changed in place
+export function normalizeProjectData(project) {
+    project.id = toSafeId(project.id);
+    if (project.custom_statuses !== undefined) {
+        project.custom_statuses = normalizeCustomStatuses(project.custom_statuses);
+    }
+
+    project.phases.forEach(phase => {
+        phase.id = toSafeId(phase.id);
+        if (phase.project_id !== undefined) phase.project_id = project.id;
+        phase.features = Array.isArray(phase.features) ? phase.features : [];
+
+        phase.features.forEach(feature => {
+            feature.id = toSafeId(feature.id);
+            feature.status = normalizeStatusId(feature.status);
+            if (feature.phase_id !== undefined) feature.phase_id = phase.id;
+            feature.dependencies = (Array.isArray(feature.dependencies) ? feature.dependencies : []).map(toSafeId);
+            feature.subtasks = Array.isArray(feature.subtasks) ? feature.subtasks : [];
+
+            feature.subtasks.forEach(subtask => {
+                subtask.id = toSafeId(subtask.id);
+                if (subtask.feature_id !== undefined) subtask.feature_id = feature.id;
+            });
+        });
+    });
+
+    return project;
+}
+
+// An ID as is if it is safe, else a stand-in derived from it
+function toSafeId(id) {
+    const text = String(id ?? '');
+    if (SAFE_ID.test(text)) return text;
+
+    let hash = 5381;
+    for (const char of text) {
+        hash = ((hash * 33) ^ char.codePointAt(0)) >>> 0;
+    }
+    return `id_${hash.toString(36)}`;
+}
+
+// Give a project and everything in it new IDs so it can live next to the original
+// Dependencies are remapped and the copy is unlinked from any Gist
+export function regenerateProjectIds(project) {
+    project.id = generateId();
+    project.created = Date.now();
+    project.modified = Date.now();
+    project.gist_id = null;
+    project.gist_url = null;
+    project.last_synced = null;
+
+    // Regenerate IDs for phases, features, subtasks
+    const idMap = new Map();
+
+    for (const phase of project.phases) {
+        const oldPhaseId = phase.id;
+        phase.id = generateId();
+        phase.project_id = project.id;
+        idMap.set(oldPhaseId, phase.id);
+
+        for (const feature of phase.features) {
+            const oldFeatureId = feature.id;
+            feature.id = generateId();
+            feature.phase_id = phase.id;
+            idMap.set(oldFeatureId, feature.id);
+
+            for (const subtask of feature.subtasks) {
+                subtask.id = generateId();
+                subtask.feature_id = feature.id;
             }
         }
+    }
 
-        // Update dependency references
-        for (const phase of project.phases) {
-            for (const feature of phase.features) {
-                feature.dependencies = feature.dependencies
-                    .map(depId => idMap.get(depId))
-                    .filter(id => id); // Remove any unmapped references
-            }
+    // Update dependency references
+    for (const phase of project.phases) {
+        for (const feature of phase.features) {
+            feature.dependencies = feature.dependencies
+                .map(depId => idMap.get(depId))
+                .filter(id => id); // Remove any unmapped references
         }
+    }
 
-        // Save to database
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction(['projects'], 'readwrite');
-            const store = transaction.objectStore('projects');
-            const request = store.add(project);
+    return project;
+}
 
-            request.onsuccess = () => resolve(project);
-            request.onerror = () => reject(request.error);
-        });
+// Save a complete project (e.g. an import) as a new record
+export async function addProject(project) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['projects'], 'readwrite');
+        const store = transaction.objectStore('projects');
+        const request = store.add(project);
 
-    } catch (error) {
-        console.error('Import failed:', error);
-        throw new Error('Failed to import project: ' + error.message);
-    }
+        request.onsuccess = () => resolve(project);
+        request.onerror = () => reject(request.error);
+    });
 }
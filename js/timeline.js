@@ -0,0 +1,308 @@
+/**
+ * Timeline View
+ * A Gantt-style view that places phases and features along a calendar using
+ * their optional start dates, due dates and estimates. Dependencies are drawn
+ * as finish-to-start links; a feature that starts before one of its
+ * dependencies ends is marked as a schedule conflict.
+ */
+
+import { getCurrentProject, autoSave, findPhase, findFeature } from './storage.js';
+import { getStatus } from './statuses.js';
+import { getFeatureDates, getPhaseDates } from './schedule.js';
+import {
+    showNotification, sanitizeHTML, parseDay, formatDay, formatDayLabel, getToday
+} from './utils.js';
+
+const DAY_WIDTH = 28;
+const ROW_HEIGHT = 34;
+const HEADER_HEIGHT = 44;
+const LABEL_WIDTH = 260;
+// Days shown before the first and after the last scheduled day
+const RANGE_PADDING = 3;
+const MIN_RANGE_DAYS = 28;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let timelineElement = null;
+
+// Initialize the timeline; listeners are delegated so re-renders don't need to re-bind them
+export function initTimeline() {
+    timelineElement = document.getElementById('timeline-view');
+    if (!timelineElement) {
+        console.error('Timeline element not found');
+        return;
+    }
+
+    timelineElement.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-edit-type]');
+        if (target) {
+            openDatesDialog(target.dataset.editType, target.dataset.editId);
+        }
+    });
+}
+
+// ==================== Conflicts ====================
+
+// Dependencies a feature starts before the end of: [{ dependency, dates }]
+function getConflicts(project, feature, dates, spans) {
+    if (!dates) return [];
+
+    return feature.dependencies
+        .map(id => ({ dependency: findFeature(project, id)?.feature, dates: spans.get(id) }))
+        .filter(entry => entry.dependency && entry.dates && dates.start <= entry.dates.end);
+}
+
+// ==================== Rendering ====================
+
+// Render the timeline for a project
+export function renderTimeline(project) {
+    if (!timelineElement) return;
+
+    if (!project) {
+        timelineElement.innerHTML = '';
+        return;
+    }
+
+    // Rows in display order, with the days each one covers
+    const rows = [];
+    const spans = new Map();
+    for (const phase of project.phases) {
+        rows.push({ type: 'phase', item: phase, dates: getPhaseDates(phase) });
+        for (const feature of phase.features) {
+            const dates = getFeatureDates(phase, feature);
+            rows.push({ type: 'feature', item: feature, dates });
+            if (dates) spans.set(feature.id, dates);
+        }
+    }
+    rows.forEach(row => {
+        row.conflicts = row.type === 'feature' ? getConflicts(project, row.item, row.dates, spans) : [];
+    });
+
+    const scheduled = rows.filter(row => row.dates);
+    const today = getToday();
+    let rangeStart = scheduled.length > 0 ? Math.min(...scheduled.map(row => row.dates.start)) - RANGE_PADDING : today;
+    let rangeEnd = scheduled.length > 0 ? Math.max(...scheduled.map(row => row.dates.end)) + RANGE_PADDING : today;
+    if (rangeEnd - rangeStart + 1 < MIN_RANGE_DAYS) {
+        rangeEnd = rangeStart + MIN_RANGE_DAYS - 1;
+    }
+    const days = rangeEnd - rangeStart + 1;
+    const conflictCount = rows.reduce((sum, row) => sum + row.conflicts.length, 0);
+
+    timelineElement.innerHTML = `
+        <div class="timeline-summary">
+            ${scheduled.length === 0
+                ? 'Nothing is scheduled yet. Click a phase or feature to set its dates.'
+                : `${spans.size} of ${rows.length - project.phases.length} features scheduled`}
+            ${conflictCount > 0
+                ? `<span class="timeline-conflict-count">⚠️ ${conflictCount} schedule conflict${conflictCount === 1 ? '' : 's'}</span>`
+                : ''}
+        </div>
+        <div class="timeline-chart" style="--day-width: ${DAY_WIDTH}px; --row-height: ${ROW_HEIGHT}px; --label-width: ${LABEL_WIDTH}px;">
+            <div class="timeline-header" style="height: ${HEADER_HEIGHT}px;">
+                <div class="timeline-label timeline-corner"></div>
+                <div class="timeline-days" style="width: ${days * DAY_WIDTH}px;">
+                    ${createDayHeaderHTML(rangeStart, days, today)}
+                </div>
+            </div>
+            ${rows.map(row => createRowHTML(project, row, rangeStart, days)).join('')}
+            ${today >= rangeStart && today <= rangeEnd
+                ? `<div class="timeline-today" style="left: ${LABEL_WIDTH + (today - rangeStart + 0.5) * DAY_WIDTH}px;"></div>`
+                : ''}
+        </div>
+    `;
+
+    drawLinks(project, rows, rangeStart, days);
+}
+
+function createDayHeaderHTML(rangeStart, days, today) {
+    let html = '';
+    for (let i = 0; i < days; i++) {
+        const day = rangeStart + i;
+        const date = new Date(formatDay(day));
+        const weekend = date.getUTCDay() === 0 || date.getUTCDay() === 6;
+        const showMonth = i === 0 || date.getUTCDate() === 1;
+
+        html += `
+            <div class="timeline-day ${weekend ? 'weekend' : ''} ${day === today ? 'today' : ''}" title="${formatDay(day)}">
+                ${showMonth ? `<span class="timeline-month">${formatDayLabel(day).split(' ')[0]}</span>` : ''}
+                ${date.getUTCDate()}
+            </div>
+        `;
+    }
+    return html;
+}
+
+function createRowHTML(project, { type, item, dates, conflicts }, rangeStart, days) {
+    let bar = '';
+
+    if (dates) {
+        const left = (dates.start - rangeStart) * DAY_WIDTH;
+        const width = (dates.end - dates.start + 1) * DAY_WIDTH;
+        const length = dates.end - dates.start + 1;
+        const title = conflicts.length > 0
+            ? `Starts before ${conflicts.map(c => `"${c.dependency.name}" ends (${formatDayLabel(c.dates.end)})`).join(', ')}`
+            : `${formatDayLabel(dates.start)} – ${formatDayLabel(dates.end)} (${length} day${length === 1 ? '' : 's'})`;
+        const color = type === 'feature' ? getStatus(project, item.status).color : '';
+
+        bar = `
+            <div class="timeline-bar timeline-bar-${type} ${conflicts.length > 0 ? 'conflict' : ''}"
+                 style="left: ${left}px; width: ${width}px; ${color ? `--status-color: ${sanitizeHTML(color)};` : ''}"
+                 data-edit-type="${type}" data-edit-id="${item.id}" title="${sanitizeHTML(title)}">
+                ${type === 'phase' ? sanitizeHTML(item.name) : ''}
+            </div>
+        `;
+    }
+
+    return `
+        <div class="timeline-row timeline-row-${type}">
+            <div class="timeline-label" data-edit-type="${type}" data-edit-id="${item.id}"
+                 title="${dates ? 'Edit dates' : 'Not scheduled, click to set dates'}">
+                ${conflicts.length > 0 ? '<span class="timeline-warning">⚠️</span>' : ''}
+                <span class="timeline-name ${dates ? '' : 'unscheduled'}">${sanitizeHTML(item.name)}</span>
+                ${dates ? `<span class="timeline-range">${formatDayLabel(dates.start)}</span>` : ''}
+            </div>
+            <div class="timeline-track" style="width: ${days * DAY_WIDTH}px;">${bar}</div>
+        </div>
+    `;
+}
+
+// Draw finish-to-start links from each dependency's end to the dependent feature's start
+function drawLinks(project, rows, rangeStart, days) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.classList.add('timeline-links');
+    svg.setAttribute('width', LABEL_WIDTH + days * DAY_WIDTH);
+    svg.setAttribute('height', HEADER_HEIGHT + rows.length * ROW_HEIGHT);
+    svg.innerHTML = `
+        <defs>
+            <marker id="timeline-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                <path d="M 0 0 L 10 5 L 0 10 z" class="timeline-arrow-head"></path>
+            </marker>
+            <marker id="timeline-arrow-conflict" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                <path d="M 0 0 L 10 5 L 0 10 z" class="timeline-arrow-head conflict"></path>
+            </marker>
+        </defs>
+    `;
+
+    const rowIndex = new Map();
+    rows.forEach((row, index) => {
+        if (row.type === 'feature') rowIndex.set(row.item.id, index);
+    });
+
+    const x = day => LABEL_WIDTH + (day - rangeStart) * DAY_WIDTH;
+    const y = index => HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+    rows.forEach((row, index) => {
+        if (row.type !== 'feature' || !row.dates) return;
+
+        for (const dependencyId of row.item.dependencies) {
+            const from = rows[rowIndex.get(dependencyId)];
+            if (!from?.dates) continue;
+
+            const conflict = row.conflicts.some(c => c.dependency.id === dependencyId);
+            const x1 = x(from.dates.end + 1);
+            const y1 = y(rowIndex.get(dependencyId));
+            const x2 = x(row.dates.start);
+            const y2 = y(index);
+            // Step out of the dependency, across to the dependent row, then into its start
+            const midX = Math.max(x1 + 6, Math.min(x2 - 6, x1 + 12));
+
+            const path = document.createElementNS(SVG_NS, 'path');
+            path.setAttribute('d', `M ${x1} ${y1} H ${midX} V ${y2} H ${x2}`);
+            path.classList.add('timeline-link');
+            if (conflict) path.classList.add('conflict');
+            path.setAttribute('marker-end', `url(#timeline-arrow${conflict ? '-conflict' : ''})`);
+            svg.appendChild(path);
+        }
+    });
+
+    timelineElement.querySelector('.timeline-chart').appendChild(svg);
+}
+
+// ==================== Editing ====================
+
+// Edit the start date, due date and estimate of a phase or feature
+function openDatesDialog(type, id) {
+    const project = getCurrentProject();
+    if (!project) return;
+
+    const item = type === 'phase' ? findPhase(project, id) : findFeature(project, id)?.feature;
+    if (!item) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal prompt-modal dates-modal">
+            <div class="modal-header">
+                <h3>Schedule ${type === 'phase' ? 'Phase' : 'Feature'}</h3>
+            </div>
+            <div class="modal-body">
+                <p>${sanitizeHTML(item.name)}</p>
+                <label class="dates-field">Start date
+                    <input type="date" class="form-input" data-field="start_date" value="${item.start_date || ''}">
+                </label>
+                <label class="dates-field">Due date
+                    <input type="date" class="form-input" data-field="due_date" value="${item.due_date || ''}">
+                </label>
+                <label class="dates-field">Estimate (days)
+                    <input type="number" class="form-input" data-field="estimate_days" min="1" step="1"
+                           value="${item.estimate_days || ''}">
+                </label>
+                <p class="settings-hint">
+                    ${type === 'phase'
+                        ? 'Features without a start date start with their phase.'
+                        : 'Set a start and an estimate, or a due date; the other is worked out.'}
+                </p>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" data-action="clear">Clear</button>
+                <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+                <button class="btn btn-primary" data-action="save">Save</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => overlay.classList.add('show'));
+    overlay.querySelector('input').focus();
+
+    const close = () => {
+        overlay.classList.remove('show');
+        setTimeout(() => overlay.remove(), 300);
+    };
+
+    const apply = (dates) => {
+        Object.assign(item, dates);
+        close();
+        renderTimeline(project);
+        autoSave();
+    };
+
+    const field = name => overlay.querySelector(`[data-field="${name}"]`).value.trim();
+
+    overlay.querySelector('[data-action="save"]').addEventListener('click', () => {
+        const start = field('start_date') || null;
+        const due = field('due_date') || null;
+        const estimate = field('estimate_days') ? Number(field('estimate_days')) : null;
+
+        if (start && due && parseDay(due) < parseDay(start)) {
+            showNotification({ type: 'warning', message: 'The due date is before the start date' });
+            return;
+        }
+        if (estimate !== null && !(Number.isInteger(estimate) && estimate > 0)) {
+            showNotification({ type: 'warning', message: 'The estimate must be a whole number of days' });
+            return;
+        }
+
+        apply({ start_date: start, due_date: due, estimate_days: estimate });
+    });
+    overlay.querySelector('[data-action="clear"]').addEventListener('click', () => {
+        apply({ start_date: null, due_date: null, estimate_days: null });
+    });
+    overlay.querySelector('[data-action="cancel"]').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') overlay.querySelector('[data-action="save"]').click();
+    });
+}
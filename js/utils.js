@@ -2,6 +2,8 @@
  * Utility functions for the App Development Manager
  */
 
+import { isDoneStatus } from './statuses.js';
+
 // Generate unique ID
 export function generateId() {
     return 'id_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
@@ -25,6 +27,35 @@ export function formatDateForFile(timestamp) {
     return date.toISOString().split('T')[0];
 }
 
+// Calendar dates ('YYYY-MM-DD') are handled as whole days since the epoch,
+// so date math doesn't depend on time zones or daylight saving
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse a 'YYYY-MM-DD' date to a day number; null if empty or invalid
+export function parseDay(dateString) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
+    if (!match) return null;
+
+    const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isNaN(time) ? null : time / DAY_MS;
+}
+
+// Format a day number as 'YYYY-MM-DD'
+export function formatDay(day) {
+    return new Date(day * DAY_MS).toISOString().split('T')[0];
+}
+
+// Format a day number for display, e.g. "Mar 4"
+export function formatDayLabel(day) {
+    return new Date(day * DAY_MS).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Today's local date as a day number
+export function getToday() {
+    const now = new Date();
+    return Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()) / DAY_MS;
+}
+
 // Debounce function
 export function debounce(func, wait) {
     let timeout;
@@ -149,7 +180,8 @@ export function confirmDialog(message, title = 'Confirm') {
 }
 
 // Prompt dialog
-export function promptDialog(message, defaultValue = '', title = 'Input') {
+// inputType 'password' hides what is typed
+export function promptDialog(message, defaultValue = '', title = 'Input', inputType = 'text') {
     return new Promise((resolve) => {
         const overlay = document.createElement('div');
         overlay.className = 'modal-overlay';
@@ -160,7 +192,7 @@ export function promptDialog(message, defaultValue = '', title = 'Input') {
                 </div>
                 <div class="modal-body">
                     <p>${message}</p>
-                    <input type="text" class="form-input" value="${defaultValue}" />
+                    <input type="${inputType}" class="form-input" value="${defaultValue}" />
                 </div>
                 <div class="modal-footer">
                     <button class="btn btn-secondary" data-action="cancel">Cancel</button>
@@ -194,6 +226,64 @@ export function promptDialog(message, defaultValue = '', title = 'Input') {
     });
 }
 
+// Checklist dialog
+// groups: [{ label, items: [{ value, label, checked, disabled, hint }] }]
+export function checklistDialog(message, groups, title = 'Select') {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal checklist-modal">
+                <div class="modal-header">
+                    <h3>${title}</h3>
+                </div>
+                <div class="modal-body">
+                    <p>${message}</p>
+                    ${groups.length === 0 ? '<p class="checklist-empty">Nothing to select.</p>' : ''}
+                    ${groups.map(group => `
+                        <div class="checklist-group">
+                            <div class="checklist-group-label">${sanitizeHTML(group.label)}</div>
+                            ${group.items.map(item => `
+                                <label class="checklist-item${item.disabled ? ' disabled' : ''}">
+                                    <input type="checkbox" value="${item.value}"
+                                           ${item.checked ? 'checked' : ''}
+                                           ${item.disabled ? 'disabled' : ''}>
+                                    <span>${sanitizeHTML(item.label)}</span>
+                                    ${item.hint ? `<span class="checklist-hint">${sanitizeHTML(item.hint)}</span>` : ''}
+                                </label>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+                    <button class="btn btn-primary" data-action="submit">OK</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        requestAnimationFrame(() => overlay.classList.add('show'));
+
+        const handleAction = (submitted) => {
+            overlay.classList.remove('show');
+            setTimeout(() => overlay.remove(), 300);
+            if (!submitted) {
+                resolve(null);
+                return;
+            }
+            const checked = [...overlay.querySelectorAll('input[type="checkbox"]:checked')];
+            resolve(checked.map(input => input.value));
+        };
+
+        overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => handleAction(false));
+        overlay.querySelector('[data-action="submit"]').addEventListener('click', () => handleAction(true));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) handleAction(false);
+        });
+    });
+}
+
 // Calculate progress percentage
 export function calculateProgress(items, completedField = 'completed') {
     if (!items || items.length === 0) return { completed: 0, total: 0, percentage: 0 };
@@ -205,11 +295,29 @@ export function calculateProgress(items, completedField = 'completed') {
     };
 }
 
-// Sanitize HTML to prevent XSS
+// Count phases, features and subtasks of a project and how many are done
+export function getProjectStats(project) {
+    const phases = project?.phases || [];
+    const features = phases.flatMap(phase => phase.features || []);
+    const subtasks = features.flatMap(feature => feature.subtasks || []);
+    const completedFeatures = features.filter(feature => isDoneStatus(project, feature.status)).length;
+
+    return {
+        phases: phases.length,
+        features: features.length,
+        completedFeatures,
+        subtasks: subtasks.length,
+        completedSubtasks: subtasks.filter(subtask => subtask.completed).length,
+        percentage: features.length ? Math.round((completedFeatures / features.length) * 100) : 0
+    };
+}
+
+// Sanitize HTML to prevent XSS; quotes are escaped too, so the result is also
+// safe inside a quoted attribute
 export function sanitizeHTML(str) {
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // Get contrasting text color for a background
@@ -0,0 +1,192 @@
+/**
+ * Secret Vault Module
+ * Optional passphrase encryption (PBKDF2 + AES-GCM) for API keys and the
+ * GitHub token. The derived key only lives in memory, so secrets have to be
+ * unlocked once per session.
+ */
+
+import { getSetting, setSetting } from './storage.js';
+
+const PBKDF2_ITERATIONS = 310000;
+const CHECK_TEXT = 'app-dev-manager-vault';
+
+// { salt, iterations, check } once a passphrase has been set, else null
+let vaultConfig = null;
+let vaultKey = null;
+
+// Thrown when a secret is needed while the vault is locked
+export class VaultLockedError extends Error {
+    constructor() {
+        super('Secrets are locked. Unlock them with your passphrase in Settings.');
+        this.name = 'VaultLockedError';
+    }
+}
+
+// Load the vault configuration; call once after the database is open
+export async function initVault() {
+    vaultConfig = await getSetting('vault') || null;
+}
+
+export function isVaultEnabled() {
+    return !!vaultConfig;
+}
+
+export function isVaultLocked() {
+    return !!vaultConfig && !vaultKey;
+}
+
+// Unlock the vault for this session. Returns false if the passphrase is wrong.
+export async function unlockVault(passphrase) {
+    if (!vaultConfig) return true;
+
+    const key = await deriveKey(passphrase, fromBase64(vaultConfig.salt), vaultConfig.iterations);
+    try {
+        const check = await decrypt(key, vaultConfig.check);
+        if (check !== CHECK_TEXT) return false;
+    } catch (error) {
+        // AES-GCM refuses to decrypt with the wrong key
+        return false;
+    }
+
+    vaultKey = key;
+    return true;
+}
+
+// Forget the key; secrets stay encrypted until the next unlock
+export function lockVault() {
+    vaultKey = null;
+}
+
+// Turn on encryption and encrypt the secrets that are already stored
+export async function enableVault(passphrase) {
+    if (vaultConfig) {
+        throw new Error('Encryption is already enabled');
+    }
+
+    const secrets = await readSecrets();
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    vaultKey = key;
+    vaultConfig = {
+        salt: toBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        check: await encrypt(key, CHECK_TEXT)
+    };
+    await setSetting('vault', vaultConfig);
+
+    await writeSecrets(secrets);
+}
+
+// Turn off encryption; secrets go back to plain base64. The vault must be unlocked.
+export async function disableVault() {
+    const secrets = await readSecrets();
+
+    vaultConfig = null;
+    vaultKey = null;
+    await setSetting('vault', null);
+
+    await writeSecrets(secrets);
+}
+
+// ==================== Secrets ====================
+
+// Encode a secret for storage: encrypted if the vault is enabled, else base64
+export async function encodeSecret(value) {
+    if (!vaultConfig) {
+        return btoa(value);
+    }
+    if (!vaultKey) {
+        throw new VaultLockedError();
+    }
+    return await encrypt(vaultKey, value);
+}
+
+// Decode a stored secret; plain base64 strings from before encryption still work
+export async function decodeSecret(stored) {
+    if (!stored) return null;
+
+    if (typeof stored === 'string') {
+        return atob(stored);
+    }
+    if (!vaultKey) {
+        throw new VaultLockedError();
+    }
+    return await decrypt(vaultKey, stored);
+}
+
+// Read every stored secret in plain text: { apiKeys: { model: key }, githubToken }
+async function readSecrets() {
+    const apiKeys = {};
+    for (const [model, stored] of Object.entries(await getSetting('api_keys') || {})) {
+        apiKeys[model] = await decodeSecret(stored);
+    }
+
+    return {
+        apiKeys,
+        githubToken: await decodeSecret(await getSetting('github_token'))
+    };
+}
+
+// Store secrets read by readSecrets with the current encoding
+async function writeSecrets({ apiKeys, githubToken }) {
+    const encoded = {};
+    for (const [model, value] of Object.entries(apiKeys)) {
+        encoded[model] = await encodeSecret(value);
+    }
+    await setSetting('api_keys', encoded);
+
+    if (githubToken) {
+        await setSetting('github_token', await encodeSecret(githubToken));
+    }
+}
+
+// ==================== Crypto ====================
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encrypt(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(text)
+    );
+
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+async function decrypt(key, { iv, data }) {
+    const text = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(iv) },
+        key,
+        fromBase64(data)
+    );
+
+    return new TextDecoder().decode(text);
+}
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
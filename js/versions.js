@@ -0,0 +1,137 @@
+/**
+ * Project Versions Panel
+ * Lists saved snapshots, diffs them against the current project and restores them
+ */
+
+import {
+    getCurrentProject,
+    getProjectVersions,
+    saveProjectVersion,
+    deleteProjectVersion,
+    restoreProjectVersion,
+    autoSave
+} from './storage.js';
+import { diffProjects, summarizeDiff, createDiffHTML } from './diff.js';
+import { showNotification, confirmDialog, promptDialog, formatDate, sanitizeHTML } from './utils.js';
+
+// Open the versions panel for the current project
+// onRestored is called after a snapshot has replaced the project content
+export async function openVersionsPanel(onRestored) {
+    const project = getCurrentProject();
+    if (!project) {
+        showNotification({ type: 'warning', message: 'No project selected' });
+        return;
+    }
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal versions-modal">
+            <div class="modal-header">
+                <h2>Versions</h2>
+                <button class="modal-close" data-action="close">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="versions-toolbar">
+                    <p class="settings-description">
+                        Snapshots are saved automatically before every AI regeneration and import.
+                    </p>
+                    <button class="btn btn-primary btn-small" data-action="snapshot">Save Snapshot</button>
+                </div>
+                <div class="versions-list"></div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => overlay.classList.add('show'));
+
+    const close = () => {
+        overlay.classList.remove('show');
+        setTimeout(() => overlay.remove(), 300);
+    };
+
+    overlay.querySelector('[data-action="close"]').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+
+    overlay.querySelector('[data-action="snapshot"]').addEventListener('click', async () => {
+        const label = await promptDialog('Snapshot name:', 'Manual snapshot', 'Save Snapshot');
+        if (!label) return;
+
+        try {
+            await saveProjectVersion(project, label);
+            await renderVersionList(overlay, project, close, onRestored);
+            showNotification({ type: 'success', message: 'Snapshot saved' });
+        } catch (error) {
+            console.error('Failed to save snapshot:', error);
+            showNotification({ type: 'error', message: 'Failed to save snapshot' });
+        }
+    });
+
+    await renderVersionList(overlay, project, close, onRestored);
+}
+
+async function renderVersionList(overlay, project, close, onRestored) {
+    const list = overlay.querySelector('.versions-list');
+    const versions = await getProjectVersions(project.id);
+
+    if (versions.length === 0) {
+        list.innerHTML = '<div class="versions-empty">No snapshots yet</div>';
+        return;
+    }
+
+    list.innerHTML = versions.map(version => {
+        const diff = diffProjects(version.snapshot, project);
+        return `
+            <div class="version-row" data-version-id="${version.id}">
+                <div class="version-info">
+                    <span class="version-label">${sanitizeHTML(version.label)}</span>
+                    <span class="version-date">${formatDate(version.created)}</span>
+                    <span class="version-summary">Since then: ${summarizeDiff(diff)}</span>
+                </div>
+                <div class="version-actions">
+                    <button class="btn btn-secondary btn-small" data-action="diff">Diff</button>
+                    <button class="btn btn-primary btn-small" data-action="restore">Restore</button>
+                    <button class="btn btn-danger btn-small" data-action="delete" title="Delete snapshot">×</button>
+                </div>
+                <div class="version-diff" hidden>${createDiffHTML(diff)}</div>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('.version-row').forEach(row => {
+        const version = versions.find(v => v.id === row.dataset.versionId);
+
+        row.querySelector('[data-action="diff"]').addEventListener('click', () => {
+            const diffEl = row.querySelector('.version-diff');
+            diffEl.hidden = !diffEl.hidden;
+        });
+
+        row.querySelector('[data-action="restore"]').addEventListener('click', async () => {
+            const confirmed = await confirmDialog(
+                `Restore "${sanitizeHTML(version.label)}"? The current state is saved as a snapshot first.`,
+                'Restore Snapshot'
+            );
+            if (!confirmed) return;
+
+            try {
+                await saveProjectVersion(project, 'Before restore');
+                restoreProjectVersion(project, version);
+                autoSave();
+                close();
+                if (onRestored) onRestored(project);
+                showNotification({ type: 'success', message: 'Snapshot restored' });
+            } catch (error) {
+                console.error('Failed to restore snapshot:', error);
+                showNotification({ type: 'error', message: 'Failed to restore snapshot' });
+            }
+        });
+
+        row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+            await deleteProjectVersion(version.id);
+            await renderVersionList(overlay, project, close, onRestored);
+        });
+    });
+}
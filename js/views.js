@@ -0,0 +1,54 @@
+/**
+ * View Switching Module
+ * Renders the current project in the view chosen for it (canvas, board, outline or timeline)
+ */
+
+import { renderProject } from './canvas.js';
+import { renderBoard } from './board.js';
+import { renderOutline } from './outline.js';
+import { renderTimeline } from './timeline.js';
+import { applySearch } from './search.js';
+
+export const VIEW_MODES = ['canvas', 'board', 'outline', 'timeline'];
+
+// The view a project is shown in; saved per project as view_mode
+export function getViewMode(project) {
+    return VIEW_MODES.includes(project?.view_mode) ? project.view_mode : 'canvas';
+}
+
+// Switch a project to another view and show it
+export function setViewMode(project, mode) {
+    if (!VIEW_MODES.includes(mode)) return;
+
+    project.view_mode = mode;
+    renderCurrentView(project);
+}
+
+// Render the project in its view and hide the others
+export function renderCurrentView(project) {
+    const mode = getViewMode(project);
+
+    document.getElementById('canvas').hidden = mode !== 'canvas';
+    document.getElementById('board-view').hidden = mode !== 'board';
+    document.getElementById('outline-view').hidden = mode !== 'outline';
+    document.getElementById('timeline-view').hidden = mode !== 'timeline';
+    document.querySelector('.zoom-controls').hidden = mode !== 'canvas';
+
+    document.querySelectorAll('.view-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === mode);
+    });
+
+    if (mode === 'board') {
+        renderBoard(project);
+    } else if (mode === 'outline') {
+        renderOutline(project);
+    } else if (mode === 'timeline') {
+        renderTimeline(project);
+    } else {
+        renderProject(project);
+    }
+
+    // The canvas re-applies the search after rendering; the other views only
+    // change what the search count says
+    if (mode !== 'canvas') applySearch();
+}
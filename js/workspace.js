@@ -0,0 +1,187 @@
+/**
+ * Workspace Sync Module
+ * Backs up every project and the shareable settings to a single Gist
+ * (a manifest, settings.json and one file per project) and restores them
+ */
+
+import {
+    getAllProjects,
+    getProject,
+    updateProject,
+    addProject,
+    saveProjectVersion,
+    getSetting,
+    setSetting,
+    getAllSettings,
+    normalizeProjectData
+} from './storage.js';
+import {
+    createWorkspaceGist,
+    updateWorkspaceGist,
+    fetchWorkspaceGist,
+    readGistJSON,
+    WORKSPACE_MANIFEST
+} from './gist.js';
+
+const WORKSPACE_FORMAT = 'app-dev-manager-workspace';
+const SETTINGS_FILE = 'settings.json';
+
+// Settings that are stored in the workspace Gist. Anything else (secrets, per-device
+// sync state and any setting added later) stays on this device unless listed here.
+const SHAREABLE_SETTINGS = [
+    'ai_provider_settings',
+    'show_dependency_overlay'
+];
+
+// Check whether a setting may be stored in the workspace Gist
+export function isShareableSetting(key) {
+    return SHAREABLE_SETTINGS.includes(key);
+}
+
+// Get the ID of the workspace Gist, if this browser has pushed or restored one
+export async function getWorkspaceGistId() {
+    return await getSetting('workspace_gist_id') || null;
+}
+
+// Push all projects and shareable settings to the workspace Gist, creating it on first use
+// Returns { gist_id, gist_url, projects }
+export async function pushWorkspace() {
+    const projects = await getAllProjects();
+    const allSettings = await getAllSettings();
+
+    const settings = {};
+    Object.entries(allSettings).forEach(([key, value]) => {
+        if (isShareableSetting(key)) settings[key] = value;
+    });
+
+    const exported = Date.now();
+    const manifest = {
+        format: WORKSPACE_FORMAT,
+        version: '1.0',
+        exported,
+        settings: SETTINGS_FILE,
+        projects: projects.map(project => ({
+            id: project.id,
+            name: project.name,
+            file: getProjectFilename(project.id),
+            modified: project.modified
+        }))
+    };
+
+    const files = {
+        [WORKSPACE_MANIFEST]: JSON.stringify(manifest, null, 2),
+        [SETTINGS_FILE]: JSON.stringify({ version: '1.0', exported, settings }, null, 2)
+    };
+    projects.forEach(project => {
+        files[getProjectFilename(project.id)] = JSON.stringify({ version: '1.0', exported, project }, null, 2);
+    });
+
+    const gistId = await getWorkspaceGistId();
+    let result;
+
+    if (gistId) {
+        // Remove the files of projects deleted since the last push
+        const remote = await fetchWorkspaceGist(gistId);
+        Object.keys(remote.files).forEach(filename => {
+            if (!(filename in files)) files[filename] = null;
+        });
+
+        result = await updateWorkspaceGist(gistId, files);
+    } else {
+        result = await createWorkspaceGist(files);
+        await setSetting('workspace_gist_id', result.gist_id);
+    }
+
+    return { ...result, projects: projects.length };
+}
+
+// Download a workspace Gist without changing anything locally
+// Returns { gist_id, gist_url, exported, projects, settings, missing }
+// where missing lists manifest entries whose file couldn't be read
+export async function fetchWorkspace(gistId) {
+    const remote = await fetchWorkspaceGist(gistId);
+    const manifest = await readGistJSON(remote.files[WORKSPACE_MANIFEST]);
+
+    if (manifest.format !== WORKSPACE_FORMAT || !Array.isArray(manifest.projects)) {
+        throw new Error('The workspace manifest is not in a supported format');
+    }
+
+    const projects = [];
+    const missing = [];
+
+    for (const entry of manifest.projects) {
+        const file = remote.files[entry.file];
+        try {
+            if (!file) throw new Error(`${entry.file} is missing`);
+
+            const data = await readGistJSON(file);
+            if (!data.project?.id || !Array.isArray(data.project.phases)) {
+                throw new Error(`${entry.file} is not a project`);
+            }
+            projects.push(normalizeProjectData(data.project));
+        } catch (error) {
+            console.warn('[Workspace] Skipping project:', entry.name, error.message);
+            missing.push(entry.name || entry.file);
+        }
+    }
+
+    let settings = {};
+    const settingsFile = remote.files[manifest.settings || SETTINGS_FILE];
+    if (settingsFile) {
+        settings = (await readGistJSON(settingsFile)).settings || {};
+    }
+
+    return {
+        gist_id: remote.gist_id,
+        gist_url: remote.gist_url,
+        exported: manifest.exported,
+        projects,
+        settings,
+        missing
+    };
+}
+
+// Find which projects of a fetched workspace already exist here
+export async function getExistingProjectIds(workspace) {
+    const existing = [];
+    for (const project of workspace.projects) {
+        if (await getProject(project.id)) existing.push(project.id);
+    }
+    return existing;
+}
+
+// Write a fetched workspace into this browser
+// Projects that already exist are replaced after saving a snapshot of them
+// Returns { added, replaced, settings }
+export async function applyWorkspace(workspace) {
+    let added = 0;
+    let replaced = 0;
+
+    for (const project of workspace.projects) {
+        const existing = await getProject(project.id);
+        if (existing) {
+            await saveProjectVersion(existing, 'Before restoring workspace');
+            await updateProject(project);
+            replaced++;
+        } else {
+            await addProject(project);
+            added++;
+        }
+    }
+
+    // Only take shareable settings from the Gist, never secrets someone put there
+    let settings = 0;
+    for (const [key, value] of Object.entries(workspace.settings)) {
+        if (!isShareableSetting(key)) continue;
+        await setSetting(key, value);
+        settings++;
+    }
+
+    await setSetting('workspace_gist_id', workspace.gist_id);
+
+    return { added, replaced, settings };
+}
+
+function getProjectFilename(projectId) {
+    return `project-${projectId}.json`;
+}